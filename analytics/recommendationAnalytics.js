@@ -0,0 +1,211 @@
+// recommendationAnalytics.js
+// Impression and affiliate click tracking for REWRDS recommendations, rolled up
+// by day in Postgres, and the report queries built on those rollups.
+
+// Ranks counted as impressions for each /score run (what the results page shows)
+const IMPRESSION_RANKS = 10;
+const DEFAULT_REPORT_DAYS = 30;
+const MAX_REPORT_LIMIT = 500;
+
+// ---------------------------
+//  Tracking
+// ---------------------------
+
+/**
+ * Count one impression for each of the top ranked results, under today's
+ * date and the quiz's goal and state.
+ */
+async function recordImpressions(pool, results, answers) {
+    const shown = results.slice(0, IMPRESSION_RANKS);
+    if (!shown.length) return;
+
+    await pool.query(
+        `INSERT INTO recommendation_impressions_daily (day, card_id, rank, goal, state, impressions)
+         SELECT CURRENT_DATE, t.card_id, t.rank, $3, $4, 1
+         FROM unnest($1::text[], $2::int[]) AS t(card_id, rank)
+         ON CONFLICT (day, card_id, rank, goal, state)
+         DO UPDATE SET impressions = recommendation_impressions_daily.impressions + 1`,
+        [shown.map(r => r.id), shown.map((_, i) => i + 1), answers.goal || "", answers.state || ""]
+    );
+}
+
+/**
+ * Log one affiliate click and add it to the daily rollup.
+ * sessionId and rank are null when the link didn't carry them.
+ */
+async function recordClick(pool, { cardId, sessionId, rank }) {
+    await pool.query(
+        "INSERT INTO affiliate_clicks (card_id, session_id, rank) VALUES ($1, $2, $3)",
+        [cardId, sessionId, rank]
+    );
+
+    await pool.query(
+        `INSERT INTO affiliate_clicks_daily (day, card_id, rank, clicks)
+         VALUES (CURRENT_DATE, $1, $2, 1)
+         ON CONFLICT (day, card_id, rank)
+         DO UPDATE SET clicks = affiliate_clicks_daily.clicks + 1`,
+        [cardId, rank || 0]
+    );
+}
+
+// ---------------------------
+//  Report Parsing
+// ---------------------------
+
+function isoDay(date) {
+    return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Parse report query parameters: from / to (YYYY-MM-DD, default the last
+ * 30 days through today), goal, state, interval ("day" or "total") and limit.
+ * Returns { value, errors } where errors is [{ field, message, allowed? }].
+ */
+function parseReportQuery(query) {
+    const errors = [];
+    const today = new Date();
+    const value = {
+        from: isoDay(new Date(today.getTime() - (DEFAULT_REPORT_DAYS - 1) * 24 * 60 * 60 * 1000)),
+        to: isoDay(today),
+        interval: "total",
+        limit: 50
+    };
+
+    ["from", "to"].forEach(field => {
+        if (query[field] === undefined) return;
+        const day = String(query[field]);
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(day) || Number.isNaN(new Date(day).getTime())) {
+            errors.push({ field, message: "Must be a date (YYYY-MM-DD)" });
+        } else {
+            value[field] = day;
+        }
+    });
+
+    if (!errors.length && value.from > value.to) {
+        errors.push({ field: "from", message: "Must be on or before to" });
+    }
+
+    if (query.interval !== undefined) {
+        if (["day", "total"].includes(query.interval)) value.interval = query.interval;
+        else errors.push({ field: "interval", message: "Not an allowed value", allowed: ["day", "total"] });
+    }
+
+    if (query.limit !== undefined) {
+        const n = Number(query.limit);
+        if (!Number.isInteger(n) || n < 1 || n > MAX_REPORT_LIMIT) {
+            errors.push({ field: "limit", message: `Must be a whole number from 1 to ${MAX_REPORT_LIMIT}` });
+        } else {
+            value.limit = n;
+        }
+    }
+
+    if (query.goal) value.goal = String(query.goal).trim().toLowerCase();
+    if (query.state) value.state = String(query.state).trim().toUpperCase();
+
+    return { value, errors };
+}
+
+function ctr(clicks, impressions) {
+    return impressions > 0 ? parseFloat((clicks / impressions).toFixed(4)) : null;
+}
+
+// ---------------------------
+//  Reports
+// ---------------------------
+
+/**
+ * Impressions and clicks per card, as totals or per day (interval: "day").
+ */
+async function impressionsByCard(pool, params) {
+    const byDay = params.interval === "day";
+    const keys = byDay ? "day, card_id" : "card_id";
+
+    const { rows } = await pool.query(
+        `WITH i AS (
+             SELECT ${keys}, SUM(impressions)::int AS impressions
+             FROM recommendation_impressions_daily
+             WHERE day BETWEEN $1 AND $2
+             GROUP BY ${keys}
+         ), c AS (
+             SELECT ${keys}, SUM(clicks)::int AS clicks
+             FROM affiliate_clicks_daily
+             WHERE day BETWEEN $1 AND $2
+             GROUP BY ${keys}
+         )
+         SELECT ${byDay ? "to_char(i.day, 'YYYY-MM-DD') AS day, " : ""}i.card_id, cards.name,
+                i.impressions, COALESCE(c.clicks, 0) AS clicks
+         FROM i
+         LEFT JOIN c USING (${keys})
+         LEFT JOIN cards ON cards.id = i.card_id
+         ORDER BY ${byDay ? "i.day DESC, " : ""}i.impressions DESC
+         LIMIT $3`,
+        [params.from, params.to, params.limit]
+    );
+
+    return rows.map(row => ({ ...row, ctr: ctr(row.clicks, row.impressions) }));
+}
+
+/**
+ * Click-through rate by rank position. Clicks without a rank aren't counted.
+ */
+async function clickThroughByRank(pool, params) {
+    const { rows } = await pool.query(
+        `WITH i AS (
+             SELECT rank, SUM(impressions)::int AS impressions
+             FROM recommendation_impressions_daily
+             WHERE day BETWEEN $1 AND $2
+             GROUP BY rank
+         ), c AS (
+             SELECT rank, SUM(clicks)::int AS clicks
+             FROM affiliate_clicks_daily
+             WHERE day BETWEEN $1 AND $2 AND rank > 0
+             GROUP BY rank
+         )
+         SELECT i.rank, i.impressions, COALESCE(c.clicks, 0) AS clicks
+         FROM i
+         LEFT JOIN c USING (rank)
+         ORDER BY i.rank ASC`,
+        [params.from, params.to]
+    );
+
+    return rows.map(row => ({ ...row, ctr: ctr(row.clicks, row.impressions) }));
+}
+
+/**
+ * Cards ranked #1 most often, per goal and state (optionally just one of each).
+ */
+async function topCardsByGoalAndState(pool, params) {
+    const conditions = ["day BETWEEN $1 AND $2", "rank = 1"];
+    const values = [params.from, params.to];
+    if (params.goal) {
+        values.push(params.goal);
+        conditions.push(`goal = $${values.length}`);
+    }
+    if (params.state) {
+        values.push(params.state);
+        conditions.push(`state = $${values.length}`);
+    }
+    values.push(params.limit);
+
+    const { rows } = await pool.query(
+        `SELECT goal, state, card_id, cards.name, SUM(impressions)::int AS top_recommendations
+         FROM recommendation_impressions_daily
+         LEFT JOIN cards ON cards.id = card_id
+         WHERE ${conditions.join(" AND ")}
+         GROUP BY goal, state, card_id, cards.name
+         ORDER BY top_recommendations DESC, goal, state
+         LIMIT $${values.length}`,
+        values
+    );
+
+    return rows;
+}
+
+module.exports = {
+    recordImpressions,
+    recordClick,
+    parseReportQuery,
+    impressionsByCard,
+    clickThroughByRank,
+    topCardsByGoalAndState
+};
@@ -0,0 +1,113 @@
+// aprParser.js
+// Parse a card's ongoing_apr / intro_apr strings into apr_details:
+//
+//   {
+//     ongoing: { min: 20.24, max: 28.99, variable: true } | null,
+//     intro: { rate: 0, months: 15, appliesTo: ["purchases", "balance_transfers"] } | null,
+//     balanceTransferFee: { percent: 3, min: 5 } | null
+//   }
+//
+// apr_details is filled in when cards are imported or written through the admin
+// API (an explicit apr_details is kept as given); cards stored before the column
+// existed are parsed on first use.
+
+const parsedCards = new WeakMap();
+
+// ---------------------------
+//  Utility Functions
+// ---------------------------
+
+function percentages(text) {
+    return [...text.matchAll(/(\d+(?:\.\d+)?)\s*%/g)].map(m => parseFloat(m[1]));
+}
+
+// "20.24% - 28.99% Variable" → { min: 20.24, max: 28.99, variable: true }
+function parseOngoing(text) {
+    // penalty APRs aren't what a balance normally accrues at
+    const regular = text.split(/penalty/)[0];
+    const rates = percentages(regular);
+    if (!rates.length) return null;
+
+    return {
+        min: Math.min(...rates),
+        max: Math.max(...rates),
+        variable: /variable/.test(regular)
+    };
+}
+
+// "0% intro APR for 15 months on purchases and balance transfers"
+function parseIntro(text) {
+    const months = text.match(/(\d+)\s*(?:billing\s*(?:cycles?|periods?)?|months?|mos?\b)/);
+    const rates = percentages(text.split(/fee/)[0]);
+    if (!months || !rates.length) return null;
+
+    const appliesTo = [];
+    if (/purchase/.test(text)) appliesTo.push("purchases");
+    if (/balance|transfer|\bbt\b/.test(text)) appliesTo.push("balance_transfers");
+
+    return {
+        rate: rates[0],
+        months: parseInt(months[1], 10),
+        // an intro APR that doesn't say what it covers is for purchases
+        appliesTo: appliesTo.length ? appliesTo : ["purchases"]
+    };
+}
+
+// "balance transfer fee: 3% ($5 min)", "either $5 or 5% of each transfer, whichever is greater"
+function parseTransferFee(text) {
+    const clause = text
+        .split(/[.;](?!\d)/)
+        .find(c => /transfer fee|fee for (?:each )?(?:balance )?transfer|of (?:the amount of )?each transfer/.test(c));
+    if (!clause) return null;
+
+    const percent = percentages(clause)[0];
+    if (percent === undefined) return null;
+
+    const min = clause.match(/\$\s*(\d+(?:\.\d+)?)/);
+    return { percent, min: min ? parseFloat(min[1]) : 0 };
+}
+
+// ---------------------------
+//  MAIN PARSER
+// ---------------------------
+
+/**
+ * apr_details for a card's APR strings. Fields that can't be read are null.
+ */
+function parseAprDetails(card) {
+    const ongoingText = typeof card.ongoing_apr === "string" ? card.ongoing_apr.toLowerCase() : "";
+    const introText = typeof card.intro_apr === "string" ? card.intro_apr.toLowerCase() : "";
+
+    return {
+        ongoing: parseOngoing(ongoingText),
+        intro: parseIntro(introText),
+        balanceTransferFee: parseTransferFee(`${introText}. ${ongoingText}`)
+    };
+}
+
+/**
+ * changes with apr_details parsed from the APR strings they write, unless
+ * apr_details is given explicitly. current is the stored row for partial updates.
+ */
+function withAprDetails(changes, current = {}) {
+    const writesApr = changes.ongoing_apr !== undefined || changes.intro_apr !== undefined;
+    if (!writesApr || (changes.apr_details !== undefined && changes.apr_details !== null)) return changes;
+
+    return { ...changes, apr_details: parseAprDetails({ ...current, ...changes }) };
+}
+
+/**
+ * A card's stored apr_details, or parsed from its APR strings if it has none.
+ */
+function getAprDetails(card) {
+    if (card.apr_details && typeof card.apr_details === "object") return card.apr_details;
+
+    let details = parsedCards.get(card);
+    if (!details) {
+        details = parseAprDetails(card);
+        parsedCards.set(card, details);
+    }
+    return details;
+}
+
+module.exports = { parseAprDetails, withAprDetails, getAprDetails };
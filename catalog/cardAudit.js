@@ -0,0 +1,37 @@
+// cardAudit.js
+// The card_audit_log writer. Used by the admin API and the seed import so both
+// record changes the same way.
+
+const { recordCardVersion } = require("./cardHistory");
+const { CARD_CHANGES_CHANNEL } = require("./cardRepository");
+
+function pick(row, fields) {
+    return Object.fromEntries(fields.map(f => [f, row[f] === undefined ? null : row[f]]));
+}
+
+/**
+ * Insert one card_audit_log row and the card's next card_history version,
+ * and notify API processes to drop their cached catalog (delivered on commit).
+ * Audit before/after hold only the changed columns (before is null for a
+ * create, where after is the whole new row); after must be the full row.
+ */
+async function recordCardChange(client, { cardId, action, actor, fields, before, after }) {
+    await client.query(
+        `INSERT INTO card_audit_log (card_id, action, actor, changed_fields, before, after)
+         VALUES ($1, $2, $3, $4, $5, $6)`,
+        [
+            cardId,
+            action,
+            actor,
+            fields,
+            before ? JSON.stringify(pick(before, fields)) : null,
+            after ? JSON.stringify(before ? pick(after, fields) : after) : null
+        ]
+    );
+
+    await recordCardVersion(client, { cardId, action, actor, fields, record: after });
+
+    await client.query("SELECT pg_notify($1, $2)", [CARD_CHANGES_CHANNEL, cardId]);
+}
+
+module.exports = { recordCardChange };
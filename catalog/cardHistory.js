@@ -0,0 +1,137 @@
+// cardHistory.js
+// Versioned card records (card_history) and the queries built on them.
+
+const { CARD_COLUMNS } = require("./cardSchema");
+const { sameValue } = require("./cardValidation");
+
+const DEFAULT_CHANGES_DAYS = 30;
+const MAX_CHANGES_LIMIT = 500;
+
+// ---------------------------
+//  Writing
+// ---------------------------
+
+/**
+ * Append the next version of a card. record is the full row after the change.
+ */
+async function recordCardVersion(client, { cardId, action, actor, fields, record }) {
+    await client.query(
+        `INSERT INTO card_history (card_id, version, action, actor, changed_fields, record)
+         SELECT $1, COALESCE(MAX(version), 0) + 1, $2, $3, $4, $5
+         FROM card_history WHERE card_id = $1`,
+        [cardId, action, actor, fields, JSON.stringify(record)]
+    );
+}
+
+// ---------------------------
+//  Query Parsing
+// ---------------------------
+
+/**
+ * Parse history query parameters: field (comma-separated columns) for both
+ * history endpoints, plus since (ISO date, default 30 days ago) and limit
+ * (default 100) for GET /cards/changes.
+ * Returns { value, errors } where errors is [{ field, message, allowed? }].
+ */
+function parseHistoryQuery(query) {
+    const value = {};
+    const errors = [];
+
+    if (query.field) {
+        const fields = String(query.field).split(",").map(f => f.trim()).filter(Boolean);
+        const unknown = fields.filter(f => !CARD_COLUMNS.includes(f));
+        if (unknown.length) {
+            errors.push({ field: "field", message: `Unknown columns: ${unknown.join(", ")}`, allowed: CARD_COLUMNS });
+        } else {
+            value.fields = fields;
+        }
+    }
+
+    if (query.since !== undefined) {
+        const since = new Date(query.since);
+        if (!query.since || Number.isNaN(since.getTime())) {
+            errors.push({ field: "since", message: "Must be an ISO date or timestamp" });
+        } else {
+            value.since = since;
+        }
+    } else {
+        value.since = new Date(Date.now() - DEFAULT_CHANGES_DAYS * 24 * 60 * 60 * 1000);
+    }
+
+    if (query.limit !== undefined) {
+        const n = Number(query.limit);
+        if (!Number.isInteger(n) || n < 1 || n > MAX_CHANGES_LIMIT) {
+            errors.push({ field: "limit", message: `Must be a whole number from 1 to ${MAX_CHANGES_LIMIT}` });
+        } else {
+            value.limit = n;
+        }
+    } else {
+        value.limit = 100;
+    }
+
+    return { value, errors };
+}
+
+// ---------------------------
+//  Reading
+// ---------------------------
+
+/**
+ * { field: { before, after } } for the columns that differ between two
+ * versions' records (only `fields` if given). before is null for version 1.
+ */
+function describeChanges(previous, record, fields) {
+    const columns = fields || CARD_COLUMNS;
+    const changes = {};
+
+    columns.forEach(f => {
+        const before = previous ? previous[f] : undefined;
+        if (previous && sameValue(f, before, record[f])) return;
+        if (!previous && (record[f] === undefined || record[f] === null)) return;
+        changes[f] = { before: before === undefined ? null : before, after: record[f] === undefined ? null : record[f] };
+    });
+
+    return changes;
+}
+
+/**
+ * What the catalog cache keeps from card_history, read in one pass:
+ *   bonusHistory  past sign-up bonus offers per card, oldest first: one value
+ *                 per change of value_estimate, excluding the current offer
+ *                 ({ cardId: [value_estimate, ...] })
+ *   cardVersions  current version per card ({ cardId: version })
+ * Empty on a failed read, so the catalog still loads without history.
+ */
+async function loadHistorySnapshot(pool) {
+    let rows;
+    try {
+        ({ rows } = await pool.query(
+            `SELECT card_id, version, record->'sign_up_bonus'->'value_estimate' AS value_estimate
+             FROM card_history
+             ORDER BY card_id, version`
+        ));
+    } catch (err) {
+        console.error("CARD HISTORY LOAD ERROR:", err.message);
+        return { bonusHistory: {}, cardVersions: {} };
+    }
+
+    const byCard = {};
+    const cardVersions = {};
+    rows.forEach(row => {
+        (byCard[row.card_id] = byCard[row.card_id] || []).push(row.value_estimate);
+        cardVersions[row.card_id] = Number(row.version);
+    });
+
+    const bonusHistory = {};
+    Object.entries(byCard).forEach(([cardId, values]) => {
+        // One entry per offer: versions that only changed other fields repeat the bonus
+        const offers = values.map(v => (v === null || v === undefined ? null : Number(v)))
+            .filter((v, i, all) => i === 0 || v !== all[i - 1]);
+        const past = offers.slice(0, -1).filter(v => Number.isFinite(v) && v > 0);
+        if (past.length) bonusHistory[cardId] = past;
+    });
+
+    return { bonusHistory, cardVersions };
+}
+
+module.exports = { recordCardVersion, parseHistoryQuery, describeChanges, loadHistorySnapshot };
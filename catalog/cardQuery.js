@@ -0,0 +1,180 @@
+// cardQuery.js
+// Search, filter, sort, paginate and project the card catalog for GET /cards.
+
+const { CARD_COLUMNS, SORTABLE_COLUMNS } = require("./cardSchema");
+const { isCardListed, isAvailableInState, normalizeGoalTags } = require("../scoring/scoringEngine");
+const { toStateCode } = require("../scoring/states");
+
+const MAX_LIMIT = 500;
+
+// Exact (case-insensitive) match filters; each accepts a comma-separated list
+const MATCH_FILTERS = ["issuer", "network", "card_type", "card_tier", "rewards_currency"];
+
+// ---------------------------
+//  Utility Functions
+// ---------------------------
+
+function splitList(value) {
+    return String(value)
+        .split(",")
+        .map(v => v.trim())
+        .filter(Boolean);
+}
+
+function lower(value) {
+    return String(value || "").toLowerCase();
+}
+
+// Missing values always sort last, whichever direction is requested
+function compareValues(a, b, desc) {
+    const aMissing = a === null || a === undefined;
+    const bMissing = b === null || b === undefined;
+    if (aMissing || bMissing) return aMissing === bMissing ? 0 : aMissing ? 1 : -1;
+
+    let cmp;
+    if (typeof a === "string" || typeof b === "string") {
+        cmp = String(a).localeCompare(String(b), "en", { sensitivity: "base" });
+    } else {
+        cmp = a === b ? 0 : a < b ? -1 : 1;
+    }
+    return desc ? -cmp : cmp;
+}
+
+// ---------------------------
+//  Query Parsing
+// ---------------------------
+
+/**
+ * Parse GET /cards query parameters.
+ * Returns { value, errors } where errors is [{ field, message, allowed? }].
+ */
+function parseCardQuery(query) {
+    const value = { match: {} };
+    const errors = [];
+
+    MATCH_FILTERS.forEach(field => {
+        if (query[field]) value.match[field] = splitList(query[field]).map(lower);
+    });
+
+    if (query.is_business !== undefined) {
+        if (query.is_business === "true" || query.is_business === "false") {
+            value.isBusiness = query.is_business === "true";
+        } else {
+            errors.push({ field: "is_business", message: "Must be true or false", allowed: ["true", "false"] });
+        }
+    }
+
+    ["min_fee", "max_fee"].forEach(field => {
+        if (query[field] === undefined) return;
+        const n = Number(query[field]);
+        if (query[field] === "" || !Number.isFinite(n) || n < 0) {
+            errors.push({ field, message: "Must be a non-negative number" });
+        } else {
+            value[field === "min_fee" ? "minFee" : "maxFee"] = n;
+        }
+    });
+
+    if (query.region) {
+        const code = toStateCode(query.region);
+        if (code) value.region = code;
+        else errors.push({ field: "region", message: "Not a US state code or name" });
+    }
+
+    if (query.goal) value.goal = lower(query.goal).trim();
+    if (query.q) value.q = lower(query.q).trim();
+
+    if (query.sort !== undefined && typeof query.sort !== "string") {
+        errors.push({ field: "sort", message: "Give one sort column", allowed: SORTABLE_COLUMNS });
+    } else if (query.sort) {
+        const desc = query.sort.startsWith("-");
+        const column = desc ? query.sort.slice(1) : query.sort;
+        if (SORTABLE_COLUMNS.includes(column)) {
+            value.sort = { column, desc };
+        } else {
+            errors.push({ field: "sort", message: "Not a sortable column (prefix with - for descending)", allowed: SORTABLE_COLUMNS });
+        }
+    }
+
+    ["limit", "offset"].forEach(field => {
+        if (query[field] === undefined) return;
+        const n = Number(query[field]);
+        const min = field === "limit" ? 1 : 0;
+        if (!Number.isInteger(n) || n < min || (field === "limit" && n > MAX_LIMIT)) {
+            errors.push({
+                field,
+                message: field === "limit"
+                    ? `Must be a whole number from 1 to ${MAX_LIMIT}`
+                    : "Must be a non-negative whole number"
+            });
+        } else {
+            value[field] = n;
+        }
+    });
+
+    if (query.fields) {
+        const fields = splitList(query.fields);
+        const unknown = fields.filter(f => !CARD_COLUMNS.includes(f));
+        if (unknown.length) {
+            errors.push({ field: "fields", message: `Unknown columns: ${unknown.join(", ")}`, allowed: CARD_COLUMNS });
+        } else {
+            value.fields = fields;
+        }
+    }
+
+    return { value, errors };
+}
+
+// ---------------------------
+//  Query Execution
+// ---------------------------
+
+function matchesQuery(card, params) {
+    // Same visibility / availability rule scoreCards applies
+    if (!isCardListed(card)) return false;
+
+    for (const [field, values] of Object.entries(params.match)) {
+        if (!values.includes(lower(card[field]))) return false;
+    }
+
+    if (params.isBusiness !== undefined && !!card.is_business !== params.isBusiness) return false;
+
+    const fee = card.annual_fee || 0;
+    if (params.minFee !== undefined && fee < params.minFee) return false;
+    if (params.maxFee !== undefined && fee > params.maxFee) return false;
+
+    if (params.region && !isAvailableInState(card, params.region)) return false;
+    if (params.goal && !normalizeGoalTags(card.recommended_goals || []).includes(params.goal)) return false;
+    if (params.q && !lower(card.name).includes(params.q)) return false;
+
+    return true;
+}
+
+function projectCard(card, fields) {
+    if (!fields) return card;
+    return Object.fromEntries(fields.map(f => [f, card[f] === undefined ? null : card[f]]));
+}
+
+/**
+ * Apply parsed query params to a list of cards.
+ * Returns { total, items } where total counts matches before pagination.
+ */
+function queryCards(cards, params) {
+    let matches = (cards || []).filter(card => matchesQuery(card, params));
+
+    if (params.sort) {
+        const { column, desc } = params.sort;
+        matches = [...matches].sort((a, b) => compareValues(a[column], b[column], desc));
+    }
+
+    const offset = params.offset || 0;
+    const page = params.limit !== undefined
+        ? matches.slice(offset, offset + params.limit)
+        : matches.slice(offset);
+
+    return {
+        total: matches.length,
+        items: page.map(card => projectCard(card, params.fields))
+    };
+}
+
+module.exports = { parseCardQuery, queryCards, projectCard };
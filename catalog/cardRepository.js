@@ -0,0 +1,132 @@
+// cardRepository.js
+// Shared in-memory copy of the cards table.
+//
+// The catalog is loaded once, normalized for scoring (see scoring/cardNormalization.js)
+// together with what scoring needs from card_history (past bonuses, current
+// versions), and reused until it's older than CARD_CACHE_TTL_MS or invalidated.
+// Writes made through the admin API and seed.js change a card and its history
+// together and send a NOTIFY on CARD_CHANGES_CHANNEL (see catalog/cardAudit.js);
+// listenForCardChanges() invalidates every API process on it.
+//
+// Cached card objects are shared between requests and must not be mutated.
+
+const crypto = require("crypto");
+const { normalizeCard } = require("../scoring/cardNormalization");
+const { loadHistorySnapshot } = require("./cardHistory");
+
+const CARD_CHANGES_CHANNEL = "card_catalog_changed";
+const CARD_CACHE_TTL_MS = Number(process.env.CARD_CACHE_TTL_MS) || 5 * 60 * 1000;
+const LISTEN_RETRY_MS = 30 * 1000;
+
+let catalog = null;
+let loading = null;
+
+// bumped on every invalidation so a load that started before it isn't kept as fresh
+let generation = 0;
+
+// ---------------------------
+//  Loading
+// ---------------------------
+
+async function loadCatalog(pool) {
+    const [{ rows }, history] = await Promise.all([
+        pool.query("SELECT * FROM cards ORDER BY id ASC"),
+        loadHistorySnapshot(pool)
+    ]);
+
+    rows.forEach(normalizeCard);
+
+    const version = crypto.createHash("sha1").update(JSON.stringify(rows)).digest("hex");
+
+    return {
+        cards: Object.freeze(rows),
+        byId: new Map(rows.map(card => [card.id, card])),
+        bonusHistory: history.bonusHistory,
+        cardVersions: history.cardVersions,
+        version,
+        loadedAt: Date.now()
+    };
+}
+
+/**
+ * The cached catalog: { cards (ordered by id), byId, bonusHistory, cardVersions,
+ * version, loadedAt } (see loadHistorySnapshot for the history fields).
+ * version is a content hash, so it only changes when card data does.
+ * Concurrent callers share a single load.
+ */
+async function getCatalog(pool) {
+    if (catalog && Date.now() - catalog.loadedAt < CARD_CACHE_TTL_MS) return catalog;
+
+    if (!loading) {
+        const startedAt = generation;
+        loading = loadCatalog(pool)
+            .then(loaded => {
+                // invalidated mid-load: serve it to the waiting callers, reload on the next call
+                catalog = startedAt === generation ? loaded : null;
+                return loaded;
+            })
+            .finally(() => {
+                loading = null;
+            });
+    }
+
+    return loading;
+}
+
+async function getCards(pool) {
+    return (await getCatalog(pool)).cards;
+}
+
+async function getCardById(pool, id) {
+    return (await getCatalog(pool)).byId.get(id) || null;
+}
+
+function invalidateCatalog() {
+    generation++;
+    catalog = null;
+}
+
+// ---------------------------
+//  Invalidation
+// ---------------------------
+
+/**
+ * Hold one pooled connection LISTENing on CARD_CHANGES_CHANNEL and drop the
+ * cache on every notification. Reconnects after LISTEN_RETRY_MS if the
+ * connection fails; the TTL still bounds staleness in the meantime.
+ */
+async function listenForCardChanges(pool) {
+    const retry = () => setTimeout(() => listenForCardChanges(pool), LISTEN_RETRY_MS).unref();
+
+    let client;
+    try {
+        client = await pool.connect();
+        await client.query(`LISTEN ${CARD_CHANGES_CHANNEL}`);
+    } catch (err) {
+        console.error("CARD LISTEN ERROR:", err.message);
+        if (client) client.release(err);
+        retry();
+        return;
+    }
+
+    client.on("notification", msg => {
+        if (msg.channel === CARD_CHANGES_CHANNEL) invalidateCatalog();
+    });
+
+    client.once("error", err => {
+        console.error("CARD LISTEN CONNECTION LOST:", err.message);
+        // notifications may have been missed while the connection was down
+        invalidateCatalog();
+        client.release(err);
+        retry();
+    });
+}
+
+module.exports = {
+    CARD_CHANGES_CHANNEL,
+    getCatalog,
+    getCards,
+    getCardById,
+    invalidateCatalog,
+    listenForCardChanges
+};
@@ -0,0 +1,58 @@
+// cardSchema.js
+// Column list and field types for the cards table (kept in the order seed.js inserts them).
+
+/**
+ * Column → type. Types:
+ *   string, number, boolean
+ *   stringArray  (Postgres text[])
+ *   json         (JSONB; stringified before insert so arrays aren't sent as text[])
+ */
+const CARD_FIELDS = {
+    id: { type: "string", required: true },
+    name: { type: "string", required: true },
+    issuer: { type: "string", required: true },
+    network: { type: "string" },
+    card_type: { type: "string" },
+    image: { type: "string" },
+    apply_link: { type: "string" },
+    rates_and_fees_link: { type: "string" },
+    annual_fee: { type: "number" },
+    foreign_fees: { type: "string" },
+    min_credit_score: { type: "number" },
+    ongoing_apr: { type: "string" },
+    intro_apr: { type: "string" },
+    apr_details: { type: "json", default: null },
+    reward_program: { type: "string" },
+    rewards_currency: { type: "string" },
+    point_value_baseline: { type: "number" },
+    point_value_max: { type: "number" },
+    rewards: { type: "json", default: [] },
+    recommended_goals: { type: "stringArray", default: [] },
+    sign_up_bonus: { type: "json", default: null },
+    credits_and_benefits: { type: "stringArray", default: [] },
+    transfer_partners: { type: "stringArray", default: [] },
+    eligibility: { type: "json", default: null },
+    is_business: { type: "boolean", default: false },
+    available_regions: { type: "stringArray", default: [] },
+    pairing_synergy: { type: "stringArray", default: [] },
+    card_tier: { type: "string" },
+    product_family: { type: "string" },
+    availability_status: { type: "string", default: "active" },
+    visibility: { type: "boolean", default: true },
+    data_source: { type: "string", default: "manual" },
+    last_updated: { type: "string", default: null },
+    affiliate_metadata: { type: "json", default: {} },
+    quiz_metadata: { type: "json", default: {} },
+    rotating_categories: { type: "json", default: null },
+    annual_fee_waived_first_year: { type: "boolean", default: false },
+    benefits: { type: "json", default: [] }
+};
+
+const CARD_COLUMNS = Object.keys(CARD_FIELDS);
+
+// Scalar columns that can be sorted on
+const SORTABLE_COLUMNS = CARD_COLUMNS.filter(c =>
+    ["string", "number", "boolean"].includes(CARD_FIELDS[c].type)
+);
+
+module.exports = { CARD_FIELDS, CARD_COLUMNS, SORTABLE_COLUMNS };
@@ -0,0 +1,127 @@
+// cardValidation.js
+// Validate card records against CARD_FIELDS, diff them, and turn them into query parameters.
+// Shared by the admin API and seed.js so both write the same shape.
+
+const { CARD_FIELDS, CARD_COLUMNS } = require("./cardSchema");
+
+// ---------------------------
+//  Utility Functions
+// ---------------------------
+
+function isPlainObject(value) {
+    return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+/**
+ * Check one value against its column rule. null is always allowed
+ * for optional columns; JSON columns whose default is an array or
+ * object must hold that same shape.
+ * Returns an error message or null.
+ */
+function checkValue(rule, value) {
+    if (value === null) return rule.required ? "Required" : null;
+
+    switch (rule.type) {
+        case "string":
+            if (typeof value !== "string") return "Must be a string";
+            if (rule.required && !value.trim()) return "Required";
+            return null;
+        case "number":
+            return typeof value === "number" && Number.isFinite(value) ? null : "Must be a number";
+        case "boolean":
+            return typeof value === "boolean" ? null : "Must be true or false";
+        case "stringArray":
+            return Array.isArray(value) && value.every(v => typeof v === "string")
+                ? null
+                : "Must be a list of strings";
+        case "json":
+            if (Array.isArray(rule.default) && !Array.isArray(value)) return "Must be an array";
+            if (isPlainObject(rule.default) && !isPlainObject(value)) return "Must be an object";
+            return null;
+        default:
+            return null;
+    }
+}
+
+// ---------------------------
+//  MAIN VALIDATOR
+// ---------------------------
+
+/**
+ * Validate a card body.
+ *   partial: false → full record; required columns must be present and
+ *                    missing columns get their defaults (null if none)
+ *   partial: true  → only the columns given are checked and returned
+ * Returns { value, errors } where errors is [{ field, message, allowed? }].
+ */
+function validateCard(body, { partial = false } = {}) {
+    if (!isPlainObject(body)) {
+        return { value: null, errors: [{ field: "(body)", message: "Card must be a JSON object" }] };
+    }
+
+    const value = {};
+    const errors = [];
+
+    Object.keys(body).forEach(field => {
+        if (!CARD_FIELDS[field]) {
+            errors.push({ field, message: "Unknown column", allowed: CARD_COLUMNS });
+        }
+    });
+
+    CARD_COLUMNS.forEach(field => {
+        const rule = CARD_FIELDS[field];
+
+        if (body[field] === undefined) {
+            if (partial) return;
+            if (rule.required) {
+                errors.push({ field, message: "Required" });
+                return;
+            }
+            value[field] = rule.default === undefined ? null : rule.default;
+            return;
+        }
+
+        const message = checkValue(rule, body[field]);
+        if (message) {
+            errors.push({ field, message });
+            return;
+        }
+        value[field] = body[field];
+    });
+
+    return { value, errors };
+}
+
+/**
+ * Whether two values of a column are the same. pg returns NUMERIC columns
+ * as strings and DATE columns as Date objects, so those compare by value.
+ */
+function sameValue(field, a, b) {
+    const rule = CARD_FIELDS[field];
+    if (a === undefined) a = null;
+    if (b === undefined) b = null;
+    if (a === null || b === null) return a === b;
+
+    if (rule && rule.type === "number") return Number(a) === Number(b);
+    if (a instanceof Date || b instanceof Date) return new Date(a).getTime() === new Date(b).getTime();
+
+    return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Columns of `next` whose value differs from `current`.
+ */
+function changedFields(current, next) {
+    return Object.keys(next).filter(f => !sameValue(f, current[f], next[f]));
+}
+
+/**
+ * Query parameter for one column. JSONB values are stringified so
+ * pg doesn't send JS arrays as Postgres arrays.
+ */
+function toColumnValue(field, value) {
+    if (CARD_FIELDS[field].type === "json") return JSON.stringify(value === undefined ? null : value);
+    return value === undefined ? null : value;
+}
+
+module.exports = { validateCard, toColumnValue, sameValue, changedFields };
@@ -4,6 +4,7 @@ const express = require("express");
 const cors = require("cors");
 const dotenv = require("dotenv");
 const pool = require("./db");
+const { listenForCardChanges } = require("./catalog/cardRepository");
 
 // Load environment variables
 dotenv.config();
@@ -11,18 +12,38 @@ dotenv.config();
 // Initialize Express
 const app = express();
 
+// ===========================
+//        ADMIN API
+// ===========================
+// Mounted ahead of the public CORS policy: admin clients get the write verbs
+// and the Authorization header, from ADMIN_ORIGINS only (comma-separated).
+const adminOrigins = String(process.env.ADMIN_ORIGINS || "http://localhost:3000")
+    .split(",")
+    .map(origin => origin.trim())
+    .filter(Boolean);
+
+app.use("/admin", cors({
+    origin: adminOrigins,
+    methods: ["GET", "POST", "PUT", "PATCH", "OPTIONS"],
+    allowedHeaders: ["Content-Type", "Authorization"]
+}), express.json(), require("./routes/admin"));
+
 // ===========================
 //        FIXED CORS
 // ===========================
 app.use(cors({
     origin: ["https://rewrds.vercel.app", "http://localhost:3000"],
     methods: ["GET", "POST", "OPTIONS"],
-    allowedHeaders: ["Content-Type"]
+    allowedHeaders: ["Content-Type", "If-None-Match"],
+    exposedHeaders: ["X-Scoring-Variant", "X-Total-Count", "X-Session-Id", "ETag"]
 }));
 
 // Explicit preflight handler
 app.options("*", cors());
 
+// Transaction imports parse their own (larger, often non-JSON) bodies
+app.use("/transactions", require("./routes/transactions"));
+
 // Parse JSON request bodies
 app.use(express.json());
 
@@ -34,6 +55,7 @@ app.set("db", pool);
 // ===========================
 app.use("/score", require("./routes/score"));
 app.use("/cards", require("./routes/card"));
+app.use("/go", require("./routes/go"));
 
 // Simple health check route
 app.get("/", (req, res) => {
@@ -47,3 +69,6 @@ const PORT = process.env.PORT || 3000;
 app.listen(PORT, () => {
     console.log(`🚀 REWRDS API running on port ${PORT}`);
 });
+
+// Drop the cached card catalog whenever the import or admin API changes a card
+listenForCardChanges(pool);
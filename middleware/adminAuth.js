@@ -0,0 +1,50 @@
+// middleware/adminAuth.js — API-key auth for the admin routes
+//
+// Keys come from ADMIN_API_KEYS as comma-separated name:key pairs, e.g.
+//   ADMIN_API_KEYS=aaron:3f9c...,data-team:81b2...
+// The name is what the audit log records as the actor.
+// Clients send the key as "Authorization: Bearer <key>".
+
+const crypto = require("crypto");
+
+function loadApiKeys() {
+    return String(process.env.ADMIN_API_KEYS || "")
+        .split(",")
+        .map(entry => entry.trim())
+        .filter(Boolean)
+        .map(entry => {
+            const sep = entry.indexOf(":");
+            return sep > 0
+                ? { name: entry.slice(0, sep).trim(), key: entry.slice(sep + 1).trim() }
+                : null;
+        })
+        .filter(entry => entry && entry.key);
+}
+
+// Compare digests so the check takes the same time whatever the key length
+function keysMatch(given, expected) {
+    const a = crypto.createHash("sha256").update(given).digest();
+    const b = crypto.createHash("sha256").update(expected).digest();
+    return crypto.timingSafeEqual(a, b);
+}
+
+function adminAuth(req, res, next) {
+    const keys = loadApiKeys();
+    if (!keys.length) {
+        return res.status(503).json({ error: "Admin API is not configured." });
+    }
+
+    const header = req.get("Authorization") || "";
+    const match = header.match(/^Bearer\s+(.+)$/i);
+    const given = match ? match[1].trim() : "";
+
+    const admin = given && keys.find(entry => keysMatch(given, entry.key));
+    if (!admin) {
+        return res.status(401).json({ error: "Invalid or missing admin API key." });
+    }
+
+    req.admin = { name: admin.name };
+    return next();
+}
+
+module.exports = adminAuth;
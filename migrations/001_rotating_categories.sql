@@ -0,0 +1,7 @@
+-- 001_rotating_categories.sql
+-- Card-level quarterly bonus calendar used by the scoring engine.
+-- Shape: { "rate": 5, "cap_amount": 1500, "requires_activation": true,
+--          "quarters": { "q1": { "categories": ["Gas", "EV Charging"] }, ... } }
+
+ALTER TABLE cards
+    ADD COLUMN IF NOT EXISTS rotating_categories JSONB;
@@ -0,0 +1,5 @@
+-- 002_annual_fee_waived_first_year.sql
+-- Lets multi-year projections skip the annual fee in year 1.
+
+ALTER TABLE cards
+    ADD COLUMN IF NOT EXISTS annual_fee_waived_first_year BOOLEAN NOT NULL DEFAULT FALSE;
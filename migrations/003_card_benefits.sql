@@ -0,0 +1,7 @@
+-- 003_card_benefits.sql
+-- Structured credits/benefits valued against the user's creditUsage answers.
+-- Entry shape: { "type": "travel_credit", "name": "$300 annual travel credit",
+--                "face_value": 300, "frequency": "annual", "restrictions": "..." }
+
+ALTER TABLE cards
+    ADD COLUMN IF NOT EXISTS benefits JSONB NOT NULL DEFAULT '[]'::jsonb;
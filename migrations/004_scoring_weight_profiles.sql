@@ -0,0 +1,12 @@
+-- 004_scoring_weight_profiles.sql
+-- Named scoring weight profiles for ranking experiments.
+-- weights may be partial: missing keys fall back to the baseline in scoring/weightProfiles.json.
+-- traffic is the relative share of assigned sessions/users a profile receives.
+
+CREATE TABLE IF NOT EXISTS scoring_weight_profiles (
+    name        TEXT PRIMARY KEY,
+    weights     JSONB NOT NULL DEFAULT '{}'::jsonb,
+    traffic     NUMERIC NOT NULL DEFAULT 0,
+    active      BOOLEAN NOT NULL DEFAULT TRUE,
+    updated_at  TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
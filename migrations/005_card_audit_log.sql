@@ -0,0 +1,16 @@
+-- 005_card_audit_log.sql
+-- One row per admin change to a card: who made it, what changed and when.
+-- before/after hold only the changed columns (before is NULL for a create, after is the full new row).
+
+CREATE TABLE IF NOT EXISTS card_audit_log (
+    id              BIGSERIAL PRIMARY KEY,
+    card_id         TEXT NOT NULL,
+    action          TEXT NOT NULL,
+    actor           TEXT NOT NULL,
+    changed_fields  TEXT[] NOT NULL DEFAULT '{}',
+    before          JSONB,
+    after           JSONB,
+    changed_at      TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS card_audit_log_card_id_idx ON card_audit_log (card_id, changed_at DESC);
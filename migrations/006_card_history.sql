@@ -0,0 +1,23 @@
+-- 006_card_history.sql
+-- Versioned snapshots of every card record. A new version is written whenever the
+-- import (seed.js) or the admin API changes a card; record is the full row after the change.
+-- Existing cards get a version 1 baseline so their current values aren't lost on the next change.
+
+CREATE TABLE IF NOT EXISTS card_history (
+    id              BIGSERIAL PRIMARY KEY,
+    card_id         TEXT NOT NULL,
+    version         INTEGER NOT NULL,
+    action          TEXT NOT NULL,
+    actor           TEXT NOT NULL,
+    changed_fields  TEXT[] NOT NULL DEFAULT '{}',
+    record          JSONB NOT NULL,
+    changed_at      TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    UNIQUE (card_id, version)
+);
+
+CREATE INDEX IF NOT EXISTS card_history_changed_at_idx ON card_history (changed_at DESC);
+
+INSERT INTO card_history (card_id, version, action, actor, record)
+SELECT c.id, 1, 'baseline', 'migration', to_jsonb(c)
+FROM cards c
+WHERE NOT EXISTS (SELECT 1 FROM card_history h WHERE h.card_id = c.id);
@@ -0,0 +1,17 @@
+-- 007_quiz_sessions.sql
+-- One row per POST /score run, so results can be replayed, shared and rescored.
+-- weights is the exact weight set used; card_versions maps each ranked card id
+-- to its card_history version at scoring time.
+
+CREATE TABLE IF NOT EXISTS quiz_sessions (
+    id              TEXT PRIMARY KEY,
+    user_id         TEXT,
+    answers         JSONB NOT NULL,
+    results         JSONB NOT NULL,
+    variant         TEXT NOT NULL,
+    weights         JSONB NOT NULL,
+    card_versions   JSONB NOT NULL DEFAULT '{}'::jsonb,
+    created_at      TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS quiz_sessions_created_at_idx ON quiz_sessions (created_at DESC);
@@ -0,0 +1,32 @@
+-- 008_recommendation_analytics.sql
+-- Recommendation analytics: every tracked affiliate click, plus daily rollups of
+-- /score impressions (by card, rank, goal and state) and clicks (by card and rank).
+-- goal / state are '' when the quiz didn't answer them; rank is 0 for clicks without one.
+
+CREATE TABLE IF NOT EXISTS affiliate_clicks (
+    id          BIGSERIAL PRIMARY KEY,
+    card_id     TEXT NOT NULL,
+    session_id  TEXT,
+    rank        INTEGER,
+    clicked_at  TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS affiliate_clicks_session_idx ON affiliate_clicks (session_id);
+
+CREATE TABLE IF NOT EXISTS recommendation_impressions_daily (
+    day          DATE NOT NULL,
+    card_id      TEXT NOT NULL,
+    rank         INTEGER NOT NULL,
+    goal         TEXT NOT NULL DEFAULT '',
+    state        TEXT NOT NULL DEFAULT '',
+    impressions  INTEGER NOT NULL DEFAULT 0,
+    PRIMARY KEY (day, card_id, rank, goal, state)
+);
+
+CREATE TABLE IF NOT EXISTS affiliate_clicks_daily (
+    day      DATE NOT NULL,
+    card_id  TEXT NOT NULL,
+    rank     INTEGER NOT NULL,
+    clicks   INTEGER NOT NULL DEFAULT 0,
+    PRIMARY KEY (day, card_id, rank)
+);
@@ -0,0 +1,9 @@
+-- 009_card_apr_details.sql
+-- Structured APR terms parsed from ongoing_apr / intro_apr (see catalog/aprParser.js).
+-- Shape: { "ongoing": { "min": 20.24, "max": 28.99, "variable": true },
+--          "intro": { "rate": 0, "months": 15, "appliesTo": ["purchases", "balance_transfers"] },
+--          "balanceTransferFee": { "percent": 3, "min": 5 } }
+-- Existing cards are filled in by the next seed.js import; until then they're parsed on read.
+
+ALTER TABLE cards
+    ADD COLUMN IF NOT EXISTS apr_details JSONB;
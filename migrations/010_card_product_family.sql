@@ -0,0 +1,7 @@
+-- 010_card_product_family.sql
+-- Cards in the same product family can be product-changed into one another
+-- without a new application (e.g. "chase_ultimate_rewards", "amex_blue_cash").
+-- Cards without one fall back to issuer + rewards_currency when scoring.
+
+ALTER TABLE cards
+    ADD COLUMN IF NOT EXISTS product_family TEXT;
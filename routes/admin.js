@@ -0,0 +1,279 @@
+// routes/admin.js — Authenticated card management
+//
+// Every route requires an admin API key (see middleware/adminAuth.js).
+// Writes run in a transaction together with their card_audit_log entry.
+
+const express = require("express");
+const router = express.Router();
+const adminAuth = require("../middleware/adminAuth");
+const { validateCard, toColumnValue, changedFields: diffFields } = require("../catalog/cardValidation");
+const { recordCardChange } = require("../catalog/cardAudit");
+const { invalidateCatalog } = require("../catalog/cardRepository");
+const { withAprDetails } = require("../catalog/aprParser");
+
+router.use(adminAuth);
+
+router.use("/reports", require("./reports"));
+
+const DEFAULT_RETIRED_STATUS = "retired";
+const MAX_AUDIT_LIMIT = 500;
+
+// ---------------------------
+//  Utility Functions
+// ---------------------------
+
+/**
+ * Apply column changes to one card and audit them.
+ * Only columns whose value actually changes are written; new APR strings
+ * re-derive apr_details unless it's given too.
+ * Returns null if the card doesn't exist, else { card, changedFields }.
+ */
+async function updateCard(pool, id, changes, { actor, action }) {
+    const client = await pool.connect();
+
+    try {
+        await client.query("BEGIN");
+
+        const { rows } = await client.query("SELECT * FROM cards WHERE id = $1 FOR UPDATE", [id]);
+        const before = rows[0];
+
+        if (!before) {
+            await client.query("ROLLBACK");
+            return null;
+        }
+
+        changes = withAprDetails(changes, before);
+        const changedFields = diffFields(before, changes);
+
+        if (!changedFields.length) {
+            await client.query("COMMIT");
+            return { card: before, changedFields };
+        }
+
+        const assignments = changedFields.map((f, i) => `${f} = $${i + 2}`).join(", ");
+        const { rows: updated } = await client.query(
+            `UPDATE cards SET ${assignments} WHERE id = $1 RETURNING *`,
+            [id, ...changedFields.map(f => toColumnValue(f, changes[f]))]
+        );
+        const card = updated[0];
+
+        await recordCardChange(client, { cardId: id, action, actor, fields: changedFields, before, after: card });
+
+        await client.query("COMMIT");
+        // this process doesn't wait for its own NOTIFY
+        invalidateCatalog();
+        return { card, changedFields };
+    } catch (err) {
+        await client.query("ROLLBACK");
+        throw err;
+    } finally {
+        client.release();
+    }
+}
+
+// Shared handler for the routes that write a set of changes to an existing card
+async function respondWithUpdate(req, res, changes, action) {
+    const result = await updateCard(req.app.get("db"), req.params.id, changes, {
+        actor: req.admin.name,
+        action
+    });
+
+    if (!result) {
+        return res.status(404).json({ error: "Card not found." });
+    }
+
+    return res.json({ card: result.card, changed: result.changedFields });
+}
+
+function idMismatch(req) {
+    return req.body && req.body.id !== undefined && req.body.id !== req.params.id;
+}
+
+// ---------------------------
+//  ROUTES
+// ---------------------------
+
+// GET /admin/cards/:id — any card, including hidden and retired ones
+router.get("/cards/:id", async (req, res) => {
+    try {
+        const pool = req.app.get("db");
+
+        const { rows } = await pool.query("SELECT * FROM cards WHERE id = $1", [req.params.id]);
+
+        if (!rows[0]) {
+            return res.status(404).json({ error: "Card not found." });
+        }
+
+        return res.json(rows[0]);
+    } catch (err) {
+        console.error("ADMIN CARD FETCH ERROR:", err);
+        return res.status(500).json({ error: "Could not load card." });
+    }
+});
+
+// POST /admin/cards — create a card (409 if the id is taken)
+router.post("/cards", async (req, res) => {
+    try {
+        const { value, errors } = validateCard(req.body);
+        if (errors.length) {
+            return res.status(400).json({ error: "Invalid card.", fields: errors });
+        }
+
+        const card = withAprDetails(value);
+        const pool = req.app.get("db");
+        const client = await pool.connect();
+
+        try {
+            await client.query("BEGIN");
+
+            const columns = Object.keys(card);
+            const { rows } = await client.query(
+                `INSERT INTO cards (${columns.join(", ")})
+                 VALUES (${columns.map((_, i) => `$${i + 1}`).join(", ")})
+                 ON CONFLICT (id) DO NOTHING
+                 RETURNING *`,
+                columns.map(f => toColumnValue(f, card[f]))
+            );
+
+            if (!rows[0]) {
+                await client.query("ROLLBACK");
+                return res.status(409).json({ error: "A card with this id already exists." });
+            }
+
+            await recordCardChange(client, {
+                cardId: card.id,
+                action: "create",
+                actor: req.admin.name,
+                fields: columns,
+                before: null,
+                after: rows[0]
+            });
+
+            await client.query("COMMIT");
+            invalidateCatalog();
+            return res.status(201).json(rows[0]);
+        } catch (err) {
+            await client.query("ROLLBACK");
+            throw err;
+        } finally {
+            client.release();
+        }
+    } catch (err) {
+        console.error("ADMIN CARD CREATE ERROR:", err);
+        return res.status(500).json({ error: "Could not create card." });
+    }
+});
+
+// PUT /admin/cards/:id — replace every column; omitted columns reset to their defaults
+router.put("/cards/:id", async (req, res) => {
+    try {
+        if (idMismatch(req)) {
+            return res.status(400).json({ error: "Card id in the body does not match the URL." });
+        }
+
+        const { value: card, errors } = validateCard({ ...req.body, id: req.params.id });
+        if (errors.length) {
+            return res.status(400).json({ error: "Invalid card.", fields: errors });
+        }
+
+        delete card.id;
+        return await respondWithUpdate(req, res, card, "update");
+    } catch (err) {
+        console.error("ADMIN CARD UPDATE ERROR:", err);
+        return res.status(500).json({ error: "Could not update card." });
+    }
+});
+
+// PATCH /admin/cards/:id — change only the columns given
+router.patch("/cards/:id", async (req, res) => {
+    try {
+        if (idMismatch(req)) {
+            return res.status(400).json({ error: "Card ids can't be changed." });
+        }
+
+        const { value: changes, errors } = validateCard(req.body, { partial: true });
+        if (errors.length) {
+            return res.status(400).json({ error: "Invalid card.", fields: errors });
+        }
+
+        delete changes.id;
+        if (!Object.keys(changes).length) {
+            return res.status(400).json({ error: "No columns to change." });
+        }
+
+        return await respondWithUpdate(req, res, changes, "patch");
+    } catch (err) {
+        console.error("ADMIN CARD PATCH ERROR:", err);
+        return res.status(500).json({ error: "Could not update card." });
+    }
+});
+
+// POST /admin/cards/:id/retire
+// Body (optional): { availability_status } — defaults to "retired".
+// Retired cards drop out of /score and /cards; PATCH availability_status back to "active" to restore.
+router.post("/cards/:id/retire", async (req, res) => {
+    try {
+        const status = (req.body && req.body.availability_status) || DEFAULT_RETIRED_STATUS;
+        if (typeof status !== "string" || status.trim() === "active") {
+            return res.status(400).json({
+                error: "Invalid card.",
+                fields: [{ field: "availability_status", message: "Must be a status other than active" }]
+            });
+        }
+
+        return await respondWithUpdate(req, res, { availability_status: status.trim() }, "retire");
+    } catch (err) {
+        console.error("ADMIN CARD RETIRE ERROR:", err);
+        return res.status(500).json({ error: "Could not retire card." });
+    }
+});
+
+// POST /admin/cards/:id/hide — set visibility false (PATCH visibility: true to show it again)
+router.post("/cards/:id/hide", async (req, res) => {
+    try {
+        return await respondWithUpdate(req, res, { visibility: false }, "hide");
+    } catch (err) {
+        console.error("ADMIN CARD HIDE ERROR:", err);
+        return res.status(500).json({ error: "Could not hide card." });
+    }
+});
+
+// GET /admin/audit
+// Filters: card_id, actor. limit (default 100, max 500), newest first.
+router.get("/audit", async (req, res) => {
+    try {
+        const limit = req.query.limit === undefined ? 100 : Number(req.query.limit);
+        if (!Number.isInteger(limit) || limit < 1 || limit > MAX_AUDIT_LIMIT) {
+            return res.status(400).json({
+                error: "Invalid audit query.",
+                fields: [{ field: "limit", message: `Must be a whole number from 1 to ${MAX_AUDIT_LIMIT}` }]
+            });
+        }
+
+        const conditions = [];
+        const params = [];
+        ["card_id", "actor"].forEach(field => {
+            if (!req.query[field]) return;
+            params.push(String(req.query[field]));
+            conditions.push(`${field} = $${params.length}`);
+        });
+        params.push(limit);
+
+        const pool = req.app.get("db");
+
+        const { rows } = await pool.query(
+            `SELECT * FROM card_audit_log
+             ${conditions.length ? `WHERE ${conditions.join(" AND ")}` : ""}
+             ORDER BY changed_at DESC, id DESC
+             LIMIT $${params.length}`,
+            params
+        );
+
+        return res.json(rows);
+    } catch (err) {
+        console.error("ADMIN AUDIT FETCH ERROR:", err);
+        return res.status(500).json({ error: "Could not load audit log." });
+    }
+});
+
+module.exports = router;
@@ -1,20 +1,216 @@
-// routes/card.js — Fetch all cards
+// routes/card.js — Card catalog: search, filter, paginate and fetch single cards
 
+const crypto = require("crypto");
 const express = require("express");
 const router = express.Router();
+const { parseCardQuery, queryCards } = require("../catalog/cardQuery");
+const { isCardListed } = require("../scoring/scoringEngine");
+const { compareCards } = require("../scoring/compareCards");
+const { validateAnswers } = require("../scoring/answerSchema");
+const { parseHistoryQuery, describeChanges } = require("../catalog/cardHistory");
+const { getCatalog } = require("../catalog/cardRepository");
+
+/**
+ * Weak ETag from the catalog version and what was asked for, so a client can
+ * revalidate without the response being rebuilt. Returns true when the
+ * client's If-None-Match already matches (the caller should send 304).
+ */
+function checkEtag(req, res, catalog, key) {
+    const tag = crypto.createHash("sha1").update(`${catalog.version}:${key}`).digest("base64url");
+    res.set("ETag", `W/"${tag}"`);
+    res.set("Cache-Control", "no-cache");
+    return req.fresh;
+}
 
 // GET /cards
+// Filters: issuer, network, card_type, card_tier, rewards_currency (comma-separated),
+// is_business, min_fee, max_fee, region, goal, q (name search).
+// Also sort (column or -column), limit, offset and fields (comma-separated columns).
+// Hidden and inactive cards are never listed. X-Total-Count holds the match count before paging.
+// Supports If-None-Match: unchanged results return 304.
 router.get("/", async (req, res) => {
     try {
+        const { value: params, errors } = parseCardQuery(req.query);
+        if (errors.length) {
+            return res.status(400).json({ error: "Invalid card query.", fields: errors });
+        }
+
         const pool = req.app.get("db");
 
-        const { rows } = await pool.query("SELECT * FROM cards ORDER BY id ASC");
+        const catalog = await getCatalog(pool);
+
+        if (checkEtag(req, res, catalog, JSON.stringify(params))) {
+            return res.status(304).end();
+        }
+
+        const { total, items } = queryCards(catalog.cards, params);
 
-        return res.json(rows);
+        res.set("X-Total-Count", String(total));
+        return res.json(items);
     } catch (err) {
         console.error("CARD FETCH ERROR:", err);
         return res.status(500).json({ error: "Could not load cards." });
     }
 });
 
+// POST /cards/compare
+// Body: { ids: [2-4 card ids], answers?: quiz answers (same shape as POST /score) }
+router.post("/compare", async (req, res) => {
+    try {
+        const { ids, answers: rawAnswers } = req.body || {};
+
+        const errors = [];
+        const validIds = Array.isArray(ids) && ids.every(id => typeof id === "string" && id.trim());
+        if (!validIds || ids.length < 2 || ids.length > 4 || new Set(ids).size !== ids.length) {
+            errors.push({ field: "ids", message: "Must be 2 to 4 distinct card ids" });
+        }
+
+        let answers = null;
+        if (rawAnswers !== undefined && rawAnswers !== null) {
+            const { value, errors: answerErrors } = validateAnswers(rawAnswers);
+            answerErrors.forEach(e => errors.push({ ...e, field: `answers.${e.field}` }));
+            answers = value;
+        }
+
+        if (errors.length) {
+            return res.status(400).json({ error: "Invalid comparison request.", fields: errors });
+        }
+
+        const pool = req.app.get("db");
+
+        const { byId } = await getCatalog(pool);
+        const found = ids.map(id => byId.get(id)).filter(card => card && isCardListed(card));
+
+        const missing = ids.filter(id => !found.some(card => card.id === id));
+        if (missing.length) {
+            return res.status(404).json({ error: "Card not found.", missing });
+        }
+
+        // keep the order the ids were requested in
+        const cards = ids.map(id => found.find(card => card.id === id));
+
+        return res.json(compareCards(cards, answers, { horizonYears: answers && answers.horizonYears }));
+    } catch (err) {
+        console.error("CARD COMPARE ERROR:", err);
+        return res.status(500).json({ error: "Could not compare cards." });
+    }
+});
+
+// GET /cards/changes
+// Card changes since a date, newest first: since (ISO date, default 30 days ago),
+// field (comma-separated columns, e.g. sign_up_bonus,annual_fee), limit (default 100, max 500).
+// Only listed cards are included.
+router.get("/changes", async (req, res) => {
+    try {
+        const { value: params, errors } = parseHistoryQuery(req.query);
+        if (errors.length) {
+            return res.status(400).json({ error: "Invalid changes query.", fields: errors });
+        }
+
+        const pool = req.app.get("db");
+
+        const conditions = ["h.action <> 'baseline'", "h.changed_at >= $1"];
+        const values = [params.since];
+        if (params.fields) {
+            values.push(params.fields);
+            conditions.push(`h.changed_fields && $${values.length}`);
+        }
+        values.push(params.limit);
+
+        const { rows } = await pool.query(
+            `SELECT h.card_id, h.version, h.action, h.changed_at, h.record, p.record AS previous,
+                    c.visibility, c.availability_status
+             FROM card_history h
+             JOIN cards c ON c.id = h.card_id
+             LEFT JOIN card_history p ON p.card_id = h.card_id AND p.version = h.version - 1
+             WHERE ${conditions.join(" AND ")}
+             ORDER BY h.changed_at DESC, h.id DESC
+             LIMIT $${values.length}`,
+            values
+        );
+
+        const changes = rows
+            .filter(isCardListed)
+            .map(row => ({
+                card_id: row.card_id,
+                name: row.record.name,
+                version: row.version,
+                action: row.action,
+                changed_at: row.changed_at,
+                changes: describeChanges(row.previous, row.record, params.fields)
+            }));
+
+        return res.json(changes);
+    } catch (err) {
+        console.error("CARD CHANGES FETCH ERROR:", err);
+        return res.status(500).json({ error: "Could not load card changes." });
+    }
+});
+
+// GET /cards/:id/history
+// Every version of the card's record, oldest first, with what changed in each.
+// field (comma-separated columns) limits the changes and skips versions that didn't touch them.
+router.get("/:id/history", async (req, res) => {
+    try {
+        const { value: params, errors } = parseHistoryQuery({ field: req.query.field });
+        if (errors.length) {
+            return res.status(400).json({ error: "Invalid history query.", fields: errors });
+        }
+
+        const pool = req.app.get("db");
+
+        const { byId } = await getCatalog(pool);
+        const card = byId.get(req.params.id);
+        if (!card || !isCardListed(card)) {
+            return res.status(404).json({ error: "Card not found." });
+        }
+
+        const { rows } = await pool.query(
+            `SELECT version, action, changed_at, record
+             FROM card_history
+             WHERE card_id = $1
+             ORDER BY version ASC`,
+            [req.params.id]
+        );
+
+        const versions = rows
+            .map((row, i) => ({
+                version: row.version,
+                action: row.action,
+                changed_at: row.changed_at,
+                changes: describeChanges(i > 0 ? rows[i - 1].record : null, row.record, params.fields),
+                record: row.record
+            }))
+            .filter(v => !params.fields || Object.keys(v.changes).length);
+
+        return res.json(versions);
+    } catch (err) {
+        console.error("CARD HISTORY FETCH ERROR:", err);
+        return res.status(500).json({ error: "Could not load card history." });
+    }
+});
+
+// GET /cards/:id (supports If-None-Match)
+router.get("/:id", async (req, res) => {
+    try {
+        const pool = req.app.get("db");
+
+        const catalog = await getCatalog(pool);
+        const card = catalog.byId.get(req.params.id);
+
+        if (!card || !isCardListed(card)) {
+            return res.status(404).json({ error: "Card not found." });
+        }
+
+        if (checkEtag(req, res, catalog, card.id)) {
+            return res.status(304).end();
+        }
+
+        return res.json(card);
+    } catch (err) {
+        console.error("CARD FETCH ERROR:", err);
+        return res.status(500).json({ error: "Could not load card." });
+    }
+});
+
 module.exports = router;
@@ -0,0 +1,48 @@
+// routes/go.js — Tracked affiliate redirects
+
+const express = require("express");
+const router = express.Router();
+const { isCardListed } = require("../scoring/scoringEngine");
+const { recordClick } = require("../analytics/recommendationAnalytics");
+const { isSessionId } = require("../scoring/quizSessions");
+const { getCardById } = require("../catalog/cardRepository");
+
+// affiliate_metadata.url when the card has one, else apply_link
+function outboundLink(card) {
+    const affiliate = card.affiliate_metadata && card.affiliate_metadata.url;
+    const link = affiliate || card.apply_link;
+    return typeof link === "string" && /^https?:\/\//i.test(link) ? link : null;
+}
+
+// GET /go/:cardId?session=<quiz session id>&rank=<position in the results>
+// Logs the click, then redirects. Bad session / rank values are dropped, not rejected,
+// so a mangled link still gets the user to the card.
+router.get("/:cardId", async (req, res) => {
+    try {
+        const pool = req.app.get("db");
+
+        const card = await getCardById(pool, req.params.cardId);
+        const link = card && isCardListed(card) ? outboundLink(card) : null;
+
+        if (!link) {
+            return res.status(404).json({ error: "Card not found." });
+        }
+
+        const rank = Number(req.query.rank);
+        const click = {
+            cardId: card.id,
+            sessionId: isSessionId(req.query.session) ? req.query.session : null,
+            rank: Number.isInteger(rank) && rank > 0 && rank <= 100 ? rank : null
+        };
+
+        // don't hold up the redirect on analytics
+        recordClick(pool, click).catch(err => console.error("CLICK TRACKING ERROR:", err));
+
+        return res.redirect(302, link);
+    } catch (err) {
+        console.error("REDIRECT ERROR:", err);
+        return res.status(500).json({ error: "Could not follow link." });
+    }
+});
+
+module.exports = router;
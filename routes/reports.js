@@ -0,0 +1,58 @@
+// routes/reports.js — Recommendation analytics reports (mounted under /admin)
+//
+// All reports accept from / to (YYYY-MM-DD, default the last 30 days).
+
+const express = require("express");
+const router = express.Router();
+const {
+    parseReportQuery,
+    impressionsByCard,
+    clickThroughByRank,
+    topCardsByGoalAndState
+} = require("../analytics/recommendationAnalytics");
+
+// Parse the shared report params into req.report, or reject with field errors
+function parseReport(req, res, next) {
+    const { value, errors } = parseReportQuery(req.query);
+
+    if (errors.length) {
+        return res.status(400).json({ error: "Invalid report query.", fields: errors });
+    }
+
+    req.report = value;
+    return next();
+}
+
+// GET /admin/reports/impressions
+// Impressions, clicks and CTR per card. interval=day splits by day; limit (default 50).
+router.get("/impressions", parseReport, async (req, res) => {
+    try {
+        return res.json(await impressionsByCard(req.app.get("db"), req.report));
+    } catch (err) {
+        console.error("IMPRESSIONS REPORT ERROR:", err);
+        return res.status(500).json({ error: "Could not build report." });
+    }
+});
+
+// GET /admin/reports/ctr-by-rank
+router.get("/ctr-by-rank", parseReport, async (req, res) => {
+    try {
+        return res.json(await clickThroughByRank(req.app.get("db"), req.report));
+    } catch (err) {
+        console.error("CTR REPORT ERROR:", err);
+        return res.status(500).json({ error: "Could not build report." });
+    }
+});
+
+// GET /admin/reports/top-cards
+// Cards ranked #1 most often per goal and state; goal / state narrow it; limit (default 50).
+router.get("/top-cards", parseReport, async (req, res) => {
+    try {
+        return res.json(await topCardsByGoalAndState(req.app.get("db"), req.report));
+    } catch (err) {
+        console.error("TOP CARDS REPORT ERROR:", err);
+        return res.status(500).json({ error: "Could not build report." });
+    }
+});
+
+module.exports = router;
@@ -2,21 +2,82 @@
 
 const express = require("express");
 const router = express.Router();
-const { scoreCards } = require("../scoring/scoringEngine");
+const { scoreCards, getFilteredCards } = require("../scoring/scoringEngine");
+const { optimizeWallet } = require("../scoring/walletOptimizer");
+const { analyzeSpend } = require("../scoring/spendAnalysis");
+const { loadWeightProfiles, resolveWeightProfile } = require("../scoring/weightProfiles");
+const { validateAnswers } = require("../scoring/answerSchema");
+const { getCatalog, getCards } = require("../catalog/cardRepository");
+const { newSessionId, saveQuizSession, loadQuizSession, diffResults } = require("../scoring/quizSessions");
+const { recordImpressions } = require("../analytics/recommendationAnalytics");
+
+// Reject malformed quiz answers with field-level errors; replaces req.body with the normalized answers
+function validateBody(req, res, next) {
+    const { value, errors } = validateAnswers(req.body);
+
+    if (errors.length) {
+        return res.status(400).json({ error: "Invalid quiz answers.", fields: errors });
+    }
+
+    req.body = value;
+    return next();
+}
+
+// Weight profile: explicit weightProfile, else assigned from userId / sessionId
+async function resolveVariant(pool, answers) {
+    const profiles = await loadWeightProfiles(pool);
+    return resolveWeightProfile(profiles, {
+        profile: answers.weightProfile,
+        assignmentId: answers.userId || answers.sessionId
+    });
+}
+
+// Store the run for GET /score/:sessionId; X-Session-Id is only sent once the
+// session is saved, and a failed save is logged, not fatal
+async function persistSession(pool, res, session) {
+    const sessionId = newSessionId();
+    try {
+        await saveQuizSession(pool, sessionId, session);
+        res.set("X-Session-Id", sessionId);
+    } catch (err) {
+        console.error("SESSION SAVE ERROR:", err);
+    }
+}
 
 // POST /score
-router.post("/", async (req, res) => {
+// The run is saved as a quiz session; its id comes back in X-Session-Id (left off if the save fails).
+router.post("/", validateBody, async (req, res) => {
     try {
         const answers = req.body;
 
         // Pull database connection from Express app (correct way)
         const pool = req.app.get("db");
 
-        // Get all cards
-        const { rows: cards } = await pool.query("SELECT * FROM cards");
+        // Cards plus past bonus offers (to call out bonuses higher than usual), all from the cached catalog
+        const { cards, bonusHistory, cardVersions } = await getCatalog(pool);
+
+        const variant = await resolveVariant(pool, answers);
+        res.set("X-Scoring-Variant", variant.name);
+
+        // ?explain=true adds per-factor breakdowns and the cards that were filtered out
+        const explain = req.query.explain === "true";
+
+        // Score cards (horizonYears: rank on N-year value instead of year 1)
+        const results = scoreCards(cards, answers, {
+            horizonYears: answers.horizonYears,
+            explain,
+            weights: variant.weights,
+            bonusHistory
+        });
 
-        // Score cards
-        const results = scoreCards(cards, answers);
+        await persistSession(pool, res, { answers, results, variant, cardVersions });
+
+        if (explain) {
+            return res.json({ variant: variant.name, results, filtered: getFilteredCards(cards, answers) });
+        }
+
+        // Count impressions (explain runs are diagnostics, so they aren't counted)
+        recordImpressions(pool, results, answers).catch(err => console.error("IMPRESSION TRACKING ERROR:", err));
 
         // Return sorted results
         return res.json(results);
@@ -27,4 +88,115 @@ router.post("/", async (req, res) => {
     }
 });
 
+// POST /score/wallet
+// Same quiz answers as /score; optional walletSize (2 or 3) limits the combo size.
+// Cards in currentCards stay in every wallet and only additions to them are ranked.
+router.post("/wallet", validateBody, async (req, res) => {
+    try {
+        const answers = req.body;
+
+        const sizes = answers.walletSize ? [answers.walletSize] : [2, 3];
+
+        const pool = req.app.get("db");
+
+        const cards = await getCards(pool);
+
+        const combinations = optimizeWallet(cards, answers, sizes);
+
+        return res.json(combinations);
+
+    } catch (err) {
+        console.error("WALLET SCORING ERROR:", err);
+        return res.status(500).json({ error: "Wallet optimization failed on the server." });
+    }
+});
+
+// POST /score/analysis
+// Same quiz answers as /score; returns break-even spend between the top cards
+// and how the top 5 changes with ±25% in each spend category.
+router.post("/analysis", validateBody, async (req, res) => {
+    try {
+        const answers = req.body;
+
+        const pool = req.app.get("db");
+
+        const cards = await getCards(pool);
+
+        const variant = await resolveVariant(pool, answers);
+        res.set("X-Scoring-Variant", variant.name);
+
+        const analysis = analyzeSpend(cards, answers, {
+            horizonYears: answers.horizonYears,
+            weights: variant.weights
+        });
+
+        return res.json(analysis);
+
+    } catch (err) {
+        console.error("ANALYSIS ERROR:", err);
+        return res.status(500).json({ error: "Spend analysis failed on the server." });
+    }
+});
+
+// GET /score/:sessionId
+// Replays a stored run exactly as it was scored.
+router.get("/:sessionId", async (req, res) => {
+    try {
+        const pool = req.app.get("db");
+
+        const session = await loadQuizSession(pool, req.params.sessionId);
+        if (!session) {
+            return res.status(404).json({ error: "Session not found." });
+        }
+
+        res.set("X-Scoring-Variant", session.variant);
+        return res.json({
+            sessionId: session.id,
+            createdAt: session.created_at,
+            variant: session.variant,
+            answers: session.answers,
+            cardVersions: session.card_versions,
+            results: session.results
+        });
+    } catch (err) {
+        console.error("SESSION FETCH ERROR:", err);
+        return res.status(500).json({ error: "Could not load session." });
+    }
+});
+
+// POST /score/:sessionId/rescore
+// Re-runs the stored answers and weights against current card data and
+// reports what moved. The stored session is left unchanged.
+router.post("/:sessionId/rescore", async (req, res) => {
+    try {
+        const pool = req.app.get("db");
+
+        const session = await loadQuizSession(pool, req.params.sessionId);
+        if (!session) {
+            return res.status(404).json({ error: "Session not found." });
+        }
+
+        const { cards, bonusHistory } = await getCatalog(pool);
+
+        const answers = session.answers;
+        const results = scoreCards(cards, answers, {
+            horizonYears: answers.horizonYears,
+            weights: session.weights,
+            bonusHistory
+        });
+
+        res.set("X-Scoring-Variant", session.variant);
+        return res.json({
+            sessionId: session.id,
+            scoredAt: session.created_at,
+            variant: session.variant,
+            results,
+            changes: diffResults(session.results, results)
+        });
+    } catch (err) {
+        console.error("RESCORE ERROR:", err);
+        return res.status(500).json({ error: "Rescoring failed on the server." });
+    }
+});
+
 module.exports = router;
@@ -0,0 +1,66 @@
+// routes/transactions.js — Spend profiles from bank / card exports
+
+const express = require("express");
+const router = express.Router();
+const { FORMATS, detectFormat, parseTransactions } = require("../transactions/transactionParser");
+const { buildSpendProfile } = require("../transactions/spendProfile");
+
+// A year of transactions is far bigger than a quiz, so this router parses its own bodies
+const IMPORT_BODY_LIMIT = "5mb";
+
+router.use(express.json({ limit: IMPORT_BODY_LIMIT }));
+router.use(express.text({
+    type: ["text/*", "application/ofx", "application/x-ofx", "application/vnd.intu.qfx", "application/x-qfx", "application/octet-stream"],
+    limit: IMPORT_BODY_LIMIT
+}));
+
+// POST /transactions/profile?format=csv|ofx|qfx|json
+// Body: the export itself (CSV, OFX/QFX, or a JSON array / { transactions }).
+// Without ?format= the Content-Type decides, then the body's contents.
+// Returns the spend profile; its answers can be merged into a POST /score body.
+router.post("/profile", (req, res) => {
+    try {
+        const body = req.body;
+        if (body === undefined || body === null || (typeof body === "string" && !body.trim())) {
+            return res.status(400).json({
+                error: "No transactions.",
+                fields: [{ field: "body", message: "Send a CSV, OFX/QFX or JSON transaction export as the request body" }]
+            });
+        }
+
+        const format = detectFormat(body, req.get("Content-Type"), req.query.format);
+        if (!format) {
+            return res.status(400).json({
+                error: "Unsupported format.",
+                fields: [{ field: "format", message: "Unknown export format", allowed: FORMATS }]
+            });
+        }
+
+        const { transactions, skipped, errors } = parseTransactions(body, format);
+        if (errors.length) {
+            return res.status(400).json({ error: "Could not read the transaction export.", fields: errors });
+        }
+        if (!transactions.length) {
+            return res.status(400).json({
+                error: "No transactions could be read.",
+                fields: [{ field: "body", message: "Every row was skipped" }],
+                skipped: skipped.slice(0, 20)
+            });
+        }
+
+        const profile = buildSpendProfile(transactions);
+
+        return res.json({
+            format,
+            ...profile,
+            summary: { ...profile.summary, skipped: skipped.length },
+            skipped: skipped.slice(0, 20)
+        });
+
+    } catch (err) {
+        console.error("TRANSACTION IMPORT ERROR:", err);
+        return res.status(500).json({ error: "Transaction import failed on the server." });
+    }
+});
+
+module.exports = router;
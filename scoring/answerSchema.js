@@ -0,0 +1,259 @@
+// answerSchema.js
+// Formal schema for quiz answers sent to POST /score (and the endpoints that reuse them).
+// Validates every field the scoring engine reads and normalizes the values it accepts.
+
+const { STATES, toStateCode } = require("./states");
+const { SPEND_FIELDS } = require("./categoryTaxonomy");
+
+const CREDIT_USAGE_LEVELS = ["full", "some", "none"];
+
+/**
+ * Field → rule. Types:
+ *   number / integer  (numeric strings like "1,200" are coerced)
+ *   enum              (one of values, case-insensitive)
+ *   enumArray         (array of values; a single value is wrapped)
+ *   stringArray       (free-text list, e.g. airlines; a single string is wrapped)
+ *   string            (trimmed; numbers are stringified)
+ *   state             (US state code or name → code)
+ *   usageMap          (credit type → "full" | "some" | "none" | 0-1)
+ */
+const ANSWER_SCHEMA = {
+    ...Object.fromEntries(SPEND_FIELDS.map(f => [f, { type: "number", min: 0 }])),
+
+    creditScore: { type: "enum", values: ["poor", "fair", "good", "very_good", "excellent", "none"] },
+    creditScoreNumber: { type: "integer", min: 300, max: 850 },
+    recentApplications: { type: "integer", min: 0, max: 50 },
+    currentCards: { type: "stringArray" },
+    previousCards: { type: "stringArray" },
+    goal: { type: "enum", values: ["cashback", "points_miles", "maximize_value", "credit_building", "low_interest"] },
+    annualFee: { type: "enum", values: ["no_fee", "small_fee", "premium"] },
+    travelFrequency: { type: "enum", values: ["rarely", "occasionally", "frequently"] },
+    perks: {
+        type: "enumArray",
+        values: [
+            "lounge_access",
+            "travel_insurance",
+            "rental_car",
+            "cell_phone",
+            "extended_warranty",
+            "purchase_protection",
+            "no_foreign_fees",
+            "credits",
+            "elite_status",
+            "cashback_portal",
+            "airport_parking",
+            "none"
+        ]
+    },
+    cardStrategy: { type: "enum", values: ["minimalist", "optimizer", "balanced"] },
+    businessCards: { type: "enum", values: ["yes", "no", "open_to_both"] },
+    airline: { type: "stringArray" },
+    hotel: { type: "stringArray" },
+    grocery: { type: "stringArray" },
+    gas: { type: "stringArray" },
+    onlineShopping: { type: "stringArray" },
+    state: { type: "state" },
+    redemption_value: { type: "enum", values: ["yes", "sometimes", "no", "none"] },
+    activateCategories: { type: "enum", values: ["yes", "sometimes", "no"] },
+    creditUsage: { type: "usageMap" },
+    balanceCarried: { type: "number", min: 0 },
+    payoffMonths: { type: "integer", min: 1, max: 120 },
+
+    // request options that travel with the answers
+    horizonYears: { type: "integer", min: 1, max: 10 },
+    walletSize: { type: "integer", min: 2, max: 3 },
+    weightProfile: { type: "string" },
+    userId: { type: "string" },
+    sessionId: { type: "string" }
+};
+
+// ---------------------------
+//  Utility Functions
+// ---------------------------
+
+function toNumber(value) {
+    if (typeof value === "number") return Number.isFinite(value) ? value : null;
+    if (typeof value !== "string") return null;
+
+    const cleaned = value.trim().replace(/[$,\s]/g, "");
+    if (!cleaned || !/^-?\d*\.?\d+$/.test(cleaned)) return null;
+    return Number(cleaned);
+}
+
+function toList(value) {
+    return Array.isArray(value) ? value : [value];
+}
+
+function editDistance(a, b) {
+    const dp = Array.from({ length: a.length + 1 }, (_, i) => [i]);
+    for (let j = 1; j <= b.length; j++) dp[0][j] = j;
+    for (let i = 1; i <= a.length; i++) {
+        for (let j = 1; j <= b.length; j++) {
+            dp[i][j] = Math.min(
+                dp[i - 1][j] + 1,
+                dp[i][j - 1] + 1,
+                dp[i - 1][j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+            );
+        }
+    }
+    return dp[a.length][b.length];
+}
+
+function suggestField(field) {
+    let best = null;
+    let bestDistance = 3; // only suggest close typos (spendDinning → spendDining)
+    Object.keys(ANSWER_SCHEMA).forEach(known => {
+        const d = editDistance(field.toLowerCase(), known.toLowerCase());
+        if (d < bestDistance) {
+            best = known;
+            bestDistance = d;
+        }
+    });
+    return best;
+}
+
+// ---------------------------
+//  Field Rules
+// ---------------------------
+
+/**
+ * Normalize one value against its rule.
+ * Returns { value } on success or { error: { message, allowed? } }.
+ */
+function checkField(rule, raw) {
+    switch (rule.type) {
+        case "number":
+        case "integer": {
+            const n = toNumber(raw);
+            if (n === null) return { error: { message: "Must be a number" } };
+            if (rule.type === "integer" && !Number.isInteger(n)) {
+                return { error: { message: "Must be a whole number" } };
+            }
+            if (typeof rule.min === "number" && n < rule.min) {
+                return { error: { message: `Must be at least ${rule.min}` } };
+            }
+            if (typeof rule.max === "number" && n > rule.max) {
+                return { error: { message: `Must be at most ${rule.max}` } };
+            }
+            return { value: n };
+        }
+
+        case "enum": {
+            const v = typeof raw === "string" ? raw.trim().toLowerCase() : raw;
+            if (!rule.values.includes(v)) {
+                return { error: { message: "Not an allowed value", allowed: rule.values } };
+            }
+            return { value: v };
+        }
+
+        case "enumArray": {
+            const values = toList(raw).map(v => (typeof v === "string" ? v.trim().toLowerCase() : v));
+            const invalid = values.filter(v => !rule.values.includes(v));
+            if (invalid.length) {
+                return {
+                    error: { message: `Not allowed: ${invalid.join(", ")}`, allowed: rule.values }
+                };
+            }
+            return { value: values };
+        }
+
+        case "stringArray": {
+            const values = toList(raw);
+            if (values.some(v => typeof v !== "string")) {
+                return { error: { message: "Must be a list of strings" } };
+            }
+            return { value: values.map(v => v.trim()).filter(Boolean) };
+        }
+
+        case "string": {
+            if (typeof raw !== "string" && typeof raw !== "number") {
+                return { error: { message: "Must be a string" } };
+            }
+            return { value: String(raw).trim() };
+        }
+
+        case "state": {
+            const code = typeof raw === "string" ? toStateCode(raw) : null;
+            if (!code) {
+                return { error: { message: "Not a US state code or name", allowed: Object.keys(STATES) } };
+            }
+            return { value: code };
+        }
+
+        case "usageMap": {
+            if (raw === null || typeof raw !== "object" || Array.isArray(raw)) {
+                return { error: { message: "Must be an object of credit type → usage" } };
+            }
+            const value = {};
+            for (const [type, usage] of Object.entries(raw)) {
+                const n = toNumber(usage);
+                if (n !== null && n >= 0 && n <= 1) {
+                    value[type] = n;
+                    continue;
+                }
+                const level = typeof usage === "string" ? usage.trim().toLowerCase() : usage;
+                if (!CREDIT_USAGE_LEVELS.includes(level)) {
+                    return {
+                        error: {
+                            message: `Usage for "${type}" must be a share from 0 to 1 or a level`,
+                            allowed: CREDIT_USAGE_LEVELS
+                        }
+                    };
+                }
+                value[type] = level;
+            }
+            return { value };
+        }
+
+        default:
+            return { value: raw };
+    }
+}
+
+// ---------------------------
+//  MAIN VALIDATOR
+// ---------------------------
+
+/**
+ * Validate and normalize a quiz answer object.
+ * Empty values (null, "", []) are dropped as unanswered.
+ * Returns { value, errors } where errors is [{ field, message, allowed?, suggestion? }].
+ */
+function validateAnswers(body) {
+    if (body === null || typeof body !== "object" || Array.isArray(body)) {
+        return { value: null, errors: [{ field: "(body)", message: "Answers must be a JSON object" }] };
+    }
+
+    // No prototype, so a "__proto__" or "constructor" key can't reach Object.prototype
+    const value = Object.create(null);
+    const errors = [];
+
+    Object.entries(body).forEach(([field, raw]) => {
+        const rule = field !== "__proto__" && Object.prototype.hasOwnProperty.call(ANSWER_SCHEMA, field)
+            ? ANSWER_SCHEMA[field]
+            : null;
+
+        if (!rule) {
+            const suggestion = suggestField(field);
+            errors.push(suggestion
+                ? { field, message: `Unknown field (did you mean "${suggestion}"?)`, suggestion }
+                : { field, message: "Unknown field" });
+            return;
+        }
+
+        if (raw === null || raw === undefined) return;
+        if (typeof raw === "string" && !raw.trim()) return;
+        if (Array.isArray(raw) && raw.length === 0) return;
+
+        const result = checkField(rule, raw);
+        if (result.error) {
+            errors.push({ field, ...result.error });
+            return;
+        }
+        value[field] = result.value;
+    });
+
+    return { value, errors };
+}
+
+module.exports = { ANSWER_SCHEMA, SPEND_FIELDS, validateAnswers };
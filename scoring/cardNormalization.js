@@ -0,0 +1,91 @@
+// cardNormalization.js
+// Lowercased copies of the card fields the scoring engine matches against,
+// and the taxonomy ids and merchant names of its reward entries.
+// Computed once per card object and remembered, so scoring a cached catalog
+// doesn't re-lowercase the same lists for every card on every request.
+// Card objects must not be mutated after they've been normalized.
+
+const { resolveRewardCategory } = require("./categoryTaxonomy");
+
+const normalizedCards = new WeakMap();
+const normalizedCategories = new WeakMap();
+const normalizedMerchants = new WeakMap();
+
+function lowerList(list) {
+    return Array.isArray(list)
+        ? list.filter(v => typeof v === "string").map(v => v.toLowerCase())
+        : [];
+}
+
+/**
+ * Taxonomy id of each rewards[] entry (see categoryTaxonomy.js), index-aligned
+ * with rewards (null when it doesn't map).
+ */
+function getRewardCategories(rewards) {
+    if (!Array.isArray(rewards)) return [];
+
+    let categories = normalizedCategories.get(rewards);
+    if (!categories) {
+        categories = rewards.map(resolveRewardCategory);
+        normalizedCategories.set(rewards, categories);
+    }
+    return categories;
+}
+
+/**
+ * Comparable merchant name: "Sam's Club" → "samsclub", "Amazon.com" → "amazon".
+ */
+function toMerchantKey(name) {
+    return typeof name === "string"
+        ? name.toLowerCase().trim().replace(/\.com$/, "").replace(/[^a-z0-9]/g, "")
+        : "";
+}
+
+function merchantKeys(list) {
+    return Array.isArray(list) ? list.map(toMerchantKey).filter(Boolean) : [];
+}
+
+/**
+ * Merchant keys of each rewards[] entry, index-aligned with rewards:
+ * { merchants, excluded } from rewards[].merchants / excluded_merchants.
+ */
+function getRewardMerchants(rewards) {
+    if (!Array.isArray(rewards)) return [];
+
+    let merchants = normalizedMerchants.get(rewards);
+    if (!merchants) {
+        merchants = rewards.map(r => ({
+            merchants: merchantKeys(r && r.merchants),
+            excluded: merchantKeys(r && r.excluded_merchants)
+        }));
+        normalizedMerchants.set(rewards, merchants);
+    }
+    return merchants;
+}
+
+/**
+ * { regions, benefits, partners, manualTags, regionPriority, foreignFees }, all lowercased.
+ * Reward categories and merchants are warmed too.
+ */
+function normalizeCard(card) {
+    let normalized = normalizedCards.get(card);
+    if (normalized) return normalized;
+
+    const quizMeta = card.quiz_metadata || {};
+
+    normalized = Object.freeze({
+        regions: lowerList(card.available_regions),
+        benefits: lowerList(card.credits_and_benefits),
+        partners: lowerList(card.transfer_partners),
+        manualTags: lowerList(quizMeta.manual_tags),
+        regionPriority: (quizMeta.region_priority || "").toLowerCase(),
+        foreignFees: (card.foreign_fees || "").toLowerCase()
+    });
+
+    getRewardCategories(card.rewards);
+    getRewardMerchants(card.rewards);
+    normalizedCards.set(card, normalized);
+    return normalized;
+}
+
+module.exports = { normalizeCard, getRewardCategories, getRewardMerchants, toMerchantKey };
@@ -0,0 +1,226 @@
+// categoryTaxonomy.js
+// Spend category taxonomy (categoryTaxonomy.json) shared by quiz spend fields
+// and card reward categories.
+//
+// Every category has an id, a label, synonyms and an optional parent. Categories
+// with spendFields are the spend rows the scoring engine works with, in file
+// order; their quiz fields are summed into that row, and merchantAnswer names the
+// quiz answer listing where the user shops for it. Reward entries map to a
+// category id through an explicit rewards[].category_id or, failing that, the
+// synonyms found in rewards[].category: the closest category covering all of
+// them ("hotels and car rentals" → travel), else the longest one.
+
+const { categories: CATEGORIES } = require("./categoryTaxonomy.json");
+
+const CATCH_ALL = "catch_all";
+
+// ---------------------------
+//  Loading
+// ---------------------------
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+// Fail at startup on a broken taxonomy rather than mis-scoring quietly
+function checkTaxonomy() {
+    const seenFields = {};
+
+    Object.entries(CATEGORIES).forEach(([id, category]) => {
+        if (category.parent && !CATEGORIES[category.parent]) {
+            throw new Error(`categoryTaxonomy: ${id} has unknown parent "${category.parent}"`);
+        }
+
+        const seen = new Set([id]);
+        for (let p = category.parent; p; p = CATEGORIES[p].parent) {
+            if (seen.has(p)) throw new Error(`categoryTaxonomy: parent cycle at ${id}`);
+            seen.add(p);
+        }
+
+        (category.spendFields || []).forEach(field => {
+            if (seenFields[field]) {
+                throw new Error(`categoryTaxonomy: ${field} is used by ${seenFields[field]} and ${id}`);
+            }
+            seenFields[field] = id;
+        });
+    });
+}
+
+checkTaxonomy();
+
+const SPEND_CATEGORIES = Object.entries(CATEGORIES)
+    .filter(([, category]) => Array.isArray(category.spendFields) && category.spendFields.length)
+    .map(([id, category]) => Object.freeze({
+        id,
+        label: category.label,
+        fields: category.spendFields,
+        merchantAnswer: category.merchantAnswer || null
+    }));
+
+const SPEND_FIELDS = SPEND_CATEGORIES.flatMap(category => category.fields);
+
+// [{ pattern, id }], longest synonym first; plural "s"/"es" is allowed
+const SYNONYM_PATTERNS = Object.entries(CATEGORIES)
+    .flatMap(([id, category]) => (category.synonyms || []).map(synonym => ({ id, synonym: synonym.toLowerCase() })))
+    .sort((a, b) => b.synonym.length - a.synonym.length)
+    .map(({ id, synonym }) => ({
+        id,
+        pattern: new RegExp(`(?<![a-z0-9])${escapeRegExp(synonym)}(?:s|es)?(?![a-z0-9])`)
+    }));
+
+// ---------------------------
+//  Lookups
+// ---------------------------
+
+function isCategoryId(id) {
+    return typeof id === "string" && Object.prototype.hasOwnProperty.call(CATEGORIES, id);
+}
+
+function getAncestors(id) {
+    const ancestors = [];
+    for (let p = CATEGORIES[id] && CATEGORIES[id].parent; p; p = CATEGORIES[p].parent) ancestors.push(p);
+    return ancestors;
+}
+
+/**
+ * True if id is ancestorId or sits anywhere below it.
+ */
+function isWithinCategory(id, ancestorId) {
+    return id === ancestorId || getAncestors(id).includes(ancestorId);
+}
+
+/**
+ * The spend row for a label or id ("Online Shopping" / "online_shopping"), or null.
+ */
+function findSpendCategory(labelOrId) {
+    if (typeof labelOrId !== "string") return null;
+    const lower = labelOrId.toLowerCase();
+    return SPEND_CATEGORIES.find(c => c.id === lower || c.label.toLowerCase() === lower) || null;
+}
+
+/**
+ * The spend row a category's spend is counted in: its own or its nearest
+ * ancestor's, else Other (e.g. "airfare" → Travel, "catch_all" → Other).
+ */
+function getSpendCategoryFor(id) {
+    for (let p = isCategoryId(id) ? id : null; p; p = CATEGORIES[p].parent) {
+        const row = findSpendCategory(p);
+        if (row) return row;
+    }
+    return findSpendCategory("other");
+}
+
+const matchingIdsBySpendId = new Map();
+
+/**
+ * Category ids whose rewards apply to a spend row: the row itself, its
+ * ancestors (a "3x entertainment" reward covers streaming) and descendants
+ * that don't have a spend row of their own (EV charging under gas).
+ */
+function getMatchingCategoryIds(spendId) {
+    let ids = matchingIdsBySpendId.get(spendId);
+    if (ids) return ids;
+
+    ids = new Set([spendId, ...getAncestors(spendId)]);
+    Object.keys(CATEGORIES).forEach(id => {
+        if (ids.has(id)) return;
+        // walk up until we reach the spend row or another category with its own row
+        for (let p = id; p; p = CATEGORIES[p].parent) {
+            if (p === spendId) {
+                ids.add(id);
+                return;
+            }
+            if (findSpendCategory(p)) return;
+        }
+    });
+
+    matchingIdsBySpendId.set(spendId, ids);
+    return ids;
+}
+
+/**
+ * Categories whose synonyms appear in text, longest synonym first. A matched
+ * synonym claims its words, so "gas station" doesn't also count as "gas".
+ */
+function findNamedCategories(text) {
+    const ids = [];
+    let rest = text;
+
+    SYNONYM_PATTERNS.forEach(({ id, pattern }) => {
+        if (!pattern.test(rest)) return;
+        if (!ids.includes(id)) ids.push(id);
+        rest = rest.replace(new RegExp(pattern.source, "g"), " ");
+    });
+
+    return ids;
+}
+
+/**
+ * The nearest category that every id is or sits below, or null if they share none.
+ */
+function findCommonCategory(ids) {
+    return [ids[0], ...getAncestors(ids[0])].find(candidate => ids.every(id => isWithinCategory(id, candidate))) || null;
+}
+
+const resolvedText = new Map();
+
+/**
+ * Category id for a rewards[] entry, or null if it doesn't map to the taxonomy.
+ */
+function resolveRewardCategory(reward) {
+    if (!reward || typeof reward !== "object") return null;
+
+    if (typeof reward.category_id === "string") {
+        return CATEGORIES[reward.category_id] ? reward.category_id : null;
+    }
+    if (typeof reward.category !== "string") return null;
+
+    const text = reward.category.toLowerCase().trim();
+    if (!resolvedText.has(text)) {
+        const ids = findNamedCategories(text);
+        resolvedText.set(text, ids.length ? findCommonCategory(ids) || ids[0] : null);
+    }
+    return resolvedText.get(text);
+}
+
+/**
+ * Reward categories on a card that don't map to a taxonomy id, from rewards[]
+ * and the rotating quarterly lists: [{ field, category }].
+ */
+function findUnmappedCategories(card) {
+    const unmapped = [];
+
+    (Array.isArray(card.rewards) ? card.rewards : []).forEach((reward, i) => {
+        if (resolveRewardCategory(reward)) return;
+        const field = reward && typeof reward.category_id === "string" ? "category_id" : "category";
+        unmapped.push({ field: `rewards[${i}].${field}`, category: (reward && reward[field]) || null });
+    });
+
+    const quarters = card.rotating_categories && card.rotating_categories.quarters;
+    if (quarters && typeof quarters === "object") {
+        Object.entries(quarters).forEach(([quarter, q]) => {
+            const path = Array.isArray(q) ? quarter : `${quarter}.categories`;
+            const list = Array.isArray(q) ? q : (q && q.categories) || [];
+            list.forEach((category, i) => {
+                if (!resolveRewardCategory({ category })) {
+                    unmapped.push({ field: `rotating_categories.quarters.${path}[${i}]`, category });
+                }
+            });
+        });
+    }
+
+    return unmapped;
+}
+
+module.exports = {
+    CATCH_ALL,
+    SPEND_CATEGORIES,
+    SPEND_FIELDS,
+    isCategoryId,
+    findSpendCategory,
+    getSpendCategoryFor,
+    getMatchingCategoryIds,
+    isWithinCategory,
+    resolveRewardCategory,
+    findUnmappedCategories
+};
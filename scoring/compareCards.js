@@ -0,0 +1,169 @@
+// compareCards.js
+// Side-by-side card comparison for REWRDS, optionally personalized to quiz answers.
+
+const {
+    valueCard,
+    getExclusionReason,
+    getRewardRateForCategory,
+    getRewardTiersForCategory,
+    getCategoryValues,
+    buildSpendMatrix
+} = require("./scoringEngine");
+const { getTransferRoutes } = require("./transferPartners");
+const { getAprDetails } = require("../catalog/aprParser");
+const { evaluateApplication } = require("./issuerRules");
+
+// ---------------------------
+//  Utility Functions
+// ---------------------------
+
+/**
+ * Headline rate per spend category, with the cap that limits it (if any).
+ */
+function describeRewardRates(card) {
+    const rewards = Array.isArray(card.rewards) ? card.rewards : [];
+
+    return buildSpendMatrix({}).map(([category]) => {
+        const tiers = getRewardTiersForCategory(rewards, category);
+        const capped = tiers.length > 1 ? tiers[0] : null;
+
+        return {
+            category,
+            rate: getRewardRateForCategory(rewards, category),
+            cap: capped
+                ? { amount: capped.capAmount, period: capped.capPeriod, rateAfterCap: tiers[tiers.length - 1].rate }
+                : null
+        };
+    });
+}
+
+/**
+ * Dollars this card earns in each spend category for the user's spend,
+ * rotating bonuses included (see getCategoryValues).
+ */
+function categoryValues(card, answers, pointValue) {
+    const values = getCategoryValues(card, answers, pointValue);
+    Object.keys(values).forEach(category => {
+        values[category] = Math.round(values[category]);
+    });
+
+    return values;
+}
+
+function describeCard(card) {
+    const baseline = typeof card.point_value_baseline === "number" ? card.point_value_baseline : 0.01;
+
+    return {
+        id: card.id,
+        name: card.name,
+        issuer: card.issuer,
+        network: card.network,
+        image: card.image,
+        apply_link: card.apply_link,
+        fees: {
+            annualFee: card.annual_fee || 0,
+            waivedFirstYear: !!card.annual_fee_waived_first_year,
+            foreignFees: card.foreign_fees || null
+        },
+        apr: {
+            ongoing: card.ongoing_apr || null,
+            intro: card.intro_apr || null,
+            details: getAprDetails(card)
+        },
+        rewardsCurrency: card.rewards_currency || null,
+        rewardRates: describeRewardRates(card),
+        pointValue: {
+            baseline,
+            max: typeof card.point_value_max === "number" ? card.point_value_max : baseline * 1.5
+        },
+        signUpBonus: card.sign_up_bonus || null,
+        benefits: {
+            listed: card.credits_and_benefits || [],
+            credits: Array.isArray(card.benefits) ? card.benefits : []
+        },
+        transferPartners: card.transfer_partners || [],
+        transferRoutes: getTransferRoutes(card)
+    };
+}
+
+function personalize(card, answers, horizonYears) {
+    const { pointValue, transferRoute, yearlyRewards, bonus, benefits, interest, projection, averageNet } =
+        valueCard(card, answers, horizonYears);
+
+    const exclusion = getExclusionReason(card, answers);
+    const application = evaluateApplication(card, answers);
+
+    return {
+        eligible: !exclusion,
+        exclusion,
+        approval: { band: application.band, bonusEligible: application.bonusEligible, flags: application.flags },
+        pointValue,
+        transferRoute,
+        yearlyRewards: Math.round(yearlyRewards),
+        categoryValues: categoryValues(card, answers, pointValue),
+        bonusValue: Math.round(bonus.value),
+        bonusReason: bonus.reason,
+        benefitsValue: Math.round(benefits.value),
+        interestCost: interest ? interest.cost : 0,
+        annualFee: card.annual_fee || 0,
+        netValue: Math.round(averageNet),
+        projection: projection.years
+    };
+}
+
+function pickWinner(entries, valueOf) {
+    let winner = null;
+    let best = -Infinity;
+    let tied = false;
+
+    entries.forEach(entry => {
+        const value = valueOf(entry);
+        if (value === undefined) return;
+        if (value > best) {
+            winner = entry.id;
+            best = value;
+            tied = false;
+        } else if (value === best) {
+            tied = true;
+        }
+    });
+
+    return tied ? null : winner;
+}
+
+// ---------------------------
+//  MAIN COMPARISON
+// ---------------------------
+
+/**
+ * Normalized side-by-side view of 2-4 cards. With answers, each card also
+ * gets its personalized value and the result names the winner of each
+ * spend category and overall (null on a tie).
+ */
+function compareCards(cards, answers, options = {}) {
+    const horizonYears = options.horizonYears || 1;
+
+    const entries = cards.map(card => {
+        const entry = describeCard(card);
+        if (answers) entry.personalized = personalize(card, answers, horizonYears);
+        return entry;
+    });
+
+    if (!answers) return { cards: entries };
+
+    const categories = {};
+    buildSpendMatrix(answers).forEach(([category, amt]) => {
+        if (!amt) return;
+        categories[category] = pickWinner(entries, e => e.personalized.categoryValues[category]);
+    });
+
+    return {
+        cards: entries,
+        winners: {
+            categories,
+            overall: pickWinner(entries, e => e.personalized.netValue)
+        }
+    };
+}
+
+module.exports = { compareCards };
@@ -0,0 +1,134 @@
+// interestCost.js
+// What carrying a balance costs on a card, from its parsed APR terms
+// (catalog/aprParser.js) and the user's balanceCarried / payoffMonths answers.
+// The balance is paid down in equal monthly principal payments; an intro APR
+// only covers it when the intro applies to balance transfers (paying the
+// transfer fee). Cards whose APR can't be read are costed at UNKNOWN_APR.
+
+const { getAprDetails } = require("../catalog/aprParser");
+
+const DEFAULT_PAYOFF_MONTHS = 12;
+
+// Assumed for cards with no readable APR (charge cards, "See Pay Over Time APR"):
+// the top of typical card ranges, so an unknown rate never looks cheap
+const UNKNOWN_APR = 29.99;
+
+// Where in a card's APR range the user is likely to land, by credit score
+const APR_RANGE_POSITION = {
+    excellent: 0,
+    very_good: 0.25,
+    good: 0.5,
+    fair: 0.75,
+    poor: 1,
+    none: 1
+};
+
+// ---------------------------
+//  Utility Functions
+// ---------------------------
+
+/**
+ * The ongoing APR (percent) this user would likely get, or null if unknown.
+ */
+function getExpectedApr(card, creditScore) {
+    const { ongoing } = getAprDetails(card);
+    if (!ongoing) return null;
+
+    const position = APR_RANGE_POSITION[creditScore] !== undefined ? APR_RANGE_POSITION[creditScore] : 0.5;
+    return ongoing.min + (ongoing.max - ongoing.min) * position;
+}
+
+/**
+ * Interest charged each month while paying balance off over months.
+ * aprForMonth(i) is the APR (percent) in month i.
+ */
+function monthlyInterest(balance, months, aprForMonth) {
+    const principal = balance / months;
+    const interest = [];
+    let remaining = balance;
+
+    for (let i = 0; i < months; i++) {
+        interest.push(remaining * aprForMonth(i) / 100 / 12);
+        remaining -= principal;
+    }
+
+    return interest;
+}
+
+function sum(values) {
+    return values.reduce((total, v) => total + v, 0);
+}
+
+// ---------------------------
+//  MAIN ESTIMATE
+// ---------------------------
+
+/**
+ * Cost of carrying answers.balanceCarried on this card for answers.payoffMonths.
+ * Returns null when no balance is carried, else
+ *   { balance, payoffMonths, apr, aprEstimated, introUsed, introMonths,
+ *     transferFee, interest, cost, savings, byYear }
+ * where aprEstimated means the card's APR couldn't be read and UNKNOWN_APR was
+ * used, savings is what the intro APR saves against paying the ongoing APR
+ * throughout, and byYear the cost falling in each year (fee in year 1).
+ * The intro is skipped when its transfer fee outweighs what it saves.
+ */
+function estimateInterestCost(card, answers) {
+    const balance = answers.balanceCarried;
+    if (typeof balance !== "number" || balance <= 0) return null;
+
+    const expectedApr = getExpectedApr(card, answers.creditScore);
+    const aprEstimated = expectedApr === null;
+    const apr = aprEstimated ? UNKNOWN_APR : expectedApr;
+
+    const payoffMonths = answers.payoffMonths || DEFAULT_PAYOFF_MONTHS;
+    const { intro, balanceTransferFee } = getAprDetails(card);
+
+    const withoutIntro = monthlyInterest(balance, payoffMonths, () => apr);
+    const fullCost = sum(withoutIntro);
+
+    // a purchases-only intro doesn't reach a balance the user already carries
+    let introUsed = intro && intro.appliesTo.includes("balance_transfers") ? "balance_transfers" : null;
+
+    let interest = withoutIntro;
+    let transferFee = 0;
+
+    if (introUsed) {
+        const withIntro = monthlyInterest(balance, payoffMonths, i => (i < intro.months ? intro.rate : apr));
+        const fee = balanceTransferFee
+            ? Math.max(balance * balanceTransferFee.percent / 100, balanceTransferFee.min || 0)
+            : 0;
+
+        if (sum(withIntro) + fee < fullCost) {
+            interest = withIntro;
+            transferFee = fee;
+        } else {
+            introUsed = null;
+        }
+    }
+
+    const byYear = [];
+    interest.forEach((amount, i) => {
+        const year = Math.floor(i / 12);
+        byYear[year] = (byYear[year] || 0) + amount;
+    });
+    byYear[0] = (byYear[0] || 0) + transferFee;
+
+    const cost = sum(interest) + transferFee;
+
+    return {
+        balance,
+        payoffMonths,
+        apr: Math.round(apr * 100) / 100,
+        aprEstimated,
+        introUsed,
+        introMonths: introUsed ? Math.min(intro.months, payoffMonths) : 0,
+        transferFee: Math.round(transferFee),
+        interest: Math.round(sum(interest)),
+        cost: Math.round(cost),
+        savings: Math.round(fullCost - cost),
+        byYear
+    };
+}
+
+module.exports = { estimateInterestCost, getExpectedApr, DEFAULT_PAYOFF_MONTHS, UNKNOWN_APR };
@@ -0,0 +1,169 @@
+// issuerRules.js
+// Approval odds and sign-up bonus eligibility for one card and one applicant.
+//
+// Rules come from the issuer defaults in issuerRules.json, overridden key by key
+// by the card's own eligibility JSON:
+//   max_recent_accounts      { count, months, name? }  denied at count or more new
+//                            accounts (any issuer) in the last 24 months, e.g. 5/24
+//   excluded_if_held         [card ids] denied while holding any of them
+//   bonus_once_per_lifetime  true → no bonus if the card is or was ever held
+//   bonus_excluded_if_held   [card ids] no bonus while holding any of them
+//   min_credit_score         overrides the card's min_credit_score column
+//
+// Applicant answers: creditScore (bucket) or creditScoreNumber (300-850),
+// recentApplications (new accounts in the last 24 months), currentCards and
+// previousCards (card ids).
+
+const { issuers: ISSUERS } = require("./issuerRules.json");
+
+// Ordered worst → best
+const APPROVAL_BANDS = ["very_low", "low", "medium", "high"];
+
+// This many new accounts in 24 months costs one band with any issuer
+const HEAVY_RECENT_APPLICATIONS = 6;
+
+const issuerByAlias = new Map();
+Object.values(ISSUERS).forEach(issuer => {
+    issuer.aliases.forEach(alias => issuerByAlias.set(alias.toLowerCase(), issuer));
+});
+
+// ---------------------------
+//  Utility Functions
+// ---------------------------
+
+function mapCreditScore(range) {
+    const map = {
+        poor: 550,
+        fair: 630,
+        good: 700,
+        very_good: 740,
+        excellent: 800,
+        none: 0
+    };
+    return map[range] || 0;
+}
+
+/**
+ * Numeric credit score for the applicant: creditScoreNumber when given,
+ * else the middle of their creditScore bucket. 0 when unknown.
+ */
+function getApplicantScore(answers) {
+    if (typeof answers.creditScoreNumber === "number") return answers.creditScoreNumber;
+    return mapCreditScore(answers.creditScore);
+}
+
+/**
+ * Issuer defaults with the card's eligibility keys layered on top.
+ */
+function getCardRules(card) {
+    const issuer = issuerByAlias.get((card.issuer || "").trim().toLowerCase());
+    const own = card.eligibility && typeof card.eligibility === "object" ? card.eligibility : {};
+    return { ...(issuer ? issuer.rules : {}), ...own };
+}
+
+function idList(list) {
+    return Array.isArray(list) ? list.filter(id => typeof id === "string") : [];
+}
+
+// Band from how far the applicant's score sits from the card's minimum
+function scoreBand(score, minScore) {
+    if (!minScore) return "high";
+    if (!score) return "medium";
+
+    const gap = score - minScore;
+    if (gap >= 40) return "high";
+    if (gap >= 0) return "medium";
+    if (gap >= -40) return "low";
+    return "very_low";
+}
+
+function lowerBand(band) {
+    return APPROVAL_BANDS[Math.max(0, APPROVAL_BANDS.indexOf(band) - 1)];
+}
+
+// ---------------------------
+//  MAIN EVALUATION
+// ---------------------------
+
+/**
+ * Returns { band, score, minScore, flags, bonusEligible } where band is one of
+ * APPROVAL_BANDS and flags is [{ rule, effect: "approval" | "bonus", detail }].
+ */
+function evaluateApplication(card, answers) {
+    const rules = getCardRules(card);
+    const flags = [];
+
+    const score = getApplicantScore(answers);
+    const minScore = typeof rules.min_credit_score === "number"
+        ? rules.min_credit_score
+        : typeof card.min_credit_score === "number" ? card.min_credit_score : null;
+
+    let band = scoreBand(score, minScore);
+    if (band !== "high" && score && minScore) {
+        flags.push({
+            rule: "credit_score",
+            effect: "approval",
+            detail: `Typically needs ~${minScore}+ credit; you're ~${score}`
+        });
+    }
+
+    const current = idList(answers.currentCards);
+    const previous = idList(answers.previousCards);
+    const recent = typeof answers.recentApplications === "number" ? answers.recentApplications : null;
+
+    const velocity = rules.max_recent_accounts;
+    if (recent !== null && velocity && typeof velocity.count === "number" && recent >= velocity.count) {
+        band = "very_low";
+        flags.push({
+            rule: "max_recent_accounts",
+            effect: "approval",
+            detail: `${velocity.name || `${velocity.count}/${velocity.months || 24} rule`}: you've opened ${recent} accounts in 24 months`
+        });
+    } else if (recent !== null && recent >= HEAVY_RECENT_APPLICATIONS) {
+        band = lowerBand(band);
+        flags.push({
+            rule: "recent_applications",
+            effect: "approval",
+            detail: `${recent} new accounts in 24 months lowers approval odds`
+        });
+    }
+
+    const conflicting = idList(rules.excluded_if_held).filter(id => current.includes(id));
+    if (conflicting.length) {
+        band = "very_low";
+        flags.push({
+            rule: "excluded_if_held",
+            effect: "approval",
+            detail: `Not available while you hold ${conflicting.join(", ")}`
+        });
+    }
+
+    if (rules.bonus_once_per_lifetime && (current.includes(card.id) || previous.includes(card.id))) {
+        flags.push({
+            rule: "bonus_once_per_lifetime",
+            effect: "bonus",
+            detail: "No sign-up bonus: it's once per lifetime and you've had this card"
+        });
+    } else if (current.includes(card.id)) {
+        flags.push({ rule: "already_held", effect: "bonus", detail: "No sign-up bonus: you already hold this card" });
+    }
+
+    const bonusConflicts = idList(rules.bonus_excluded_if_held).filter(id => current.includes(id));
+    if (bonusConflicts.length) {
+        flags.push({
+            rule: "bonus_excluded_if_held",
+            effect: "bonus",
+            detail: `No sign-up bonus while you hold ${bonusConflicts.join(", ")}`
+        });
+    }
+
+    return {
+        band,
+        score: score || null,
+        minScore,
+        flags,
+        bonusEligible: !flags.some(f => f.effect === "bonus")
+    };
+}
+
+module.exports = { APPROVAL_BANDS, evaluateApplication, getApplicantScore, mapCreditScore };
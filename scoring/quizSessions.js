@@ -0,0 +1,105 @@
+// quizSessions.js
+// Persisted POST /score runs: the answers, the ranked results and what produced
+// them (weight profile, weights and the card_history version of every card).
+// Sessions can be replayed as stored or rescored against current card data.
+
+const crypto = require("crypto");
+const { CARD_COLUMNS } = require("../catalog/cardSchema");
+const { sameValue } = require("../catalog/cardValidation");
+
+const SESSION_ID_PATTERN = /^[A-Za-z0-9_-]{8,64}$/;
+
+// ---------------------------
+//  Utility Functions
+// ---------------------------
+
+// 12 URL-safe characters, short enough for a shareable link
+function newSessionId() {
+    return crypto.randomBytes(9).toString("base64url");
+}
+
+function isSessionId(value) {
+    return typeof value === "string" && SESSION_ID_PATTERN.test(value);
+}
+
+// ---------------------------
+//  Storage
+// ---------------------------
+
+/**
+ * Store one scoring run under id (from newSessionId). cardVersions is the
+ * catalog's { cardId: version }; only the ranked cards' versions are kept.
+ */
+async function saveQuizSession(pool, id, { answers, results, variant, cardVersions }) {
+    const versions = Object.fromEntries(
+        results.filter(r => cardVersions[r.id] !== undefined).map(r => [r.id, cardVersions[r.id]])
+    );
+
+    await pool.query(
+        `INSERT INTO quiz_sessions (id, user_id, answers, results, variant, weights, card_versions)
+         VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+        [
+            id,
+            answers.userId || null,
+            JSON.stringify(answers),
+            JSON.stringify(results),
+            variant.name,
+            JSON.stringify(variant.weights),
+            JSON.stringify(versions)
+        ]
+    );
+}
+
+/**
+ * Load a stored session, or null if the id is malformed or unknown.
+ */
+async function loadQuizSession(pool, id) {
+    if (!isSessionId(id)) return null;
+
+    const { rows } = await pool.query("SELECT * FROM quiz_sessions WHERE id = $1", [id]);
+    return rows[0] || null;
+}
+
+// ---------------------------
+//  Rescore Diff
+// ---------------------------
+
+/**
+ * What changed between a stored ranking and a fresh one.
+ *   entered / left  cards that joined or dropped out of the results
+ *   changed         cards in both whose rank, score or card data differ,
+ *                   with the card columns that changed
+ */
+function diffResults(before, after) {
+    const beforeIds = before.map(r => r.id);
+    const afterIds = after.map(r => r.id);
+
+    const summarize = (r, i) => ({ id: r.id, name: r.name, rank: i + 1, score: r.score });
+
+    const changed = [];
+    after.forEach((next, i) => {
+        const j = beforeIds.indexOf(next.id);
+        if (j === -1) return;
+
+        const previous = before[j];
+        const cardChanges = CARD_COLUMNS.filter(f => !sameValue(f, previous[f], next[f]));
+
+        if (i === j && previous.score === next.score && !cardChanges.length) return;
+
+        changed.push({
+            id: next.id,
+            name: next.name,
+            rank: { before: j + 1, after: i + 1 },
+            score: { before: previous.score, after: next.score },
+            cardChanges
+        });
+    });
+
+    return {
+        entered: after.map(summarize).filter(r => !beforeIds.includes(r.id)),
+        left: before.map(summarize).filter(r => !afterIds.includes(r.id)),
+        changed
+    };
+}
+
+module.exports = { newSessionId, isSessionId, saveQuizSession, loadQuizSession, diffResults };
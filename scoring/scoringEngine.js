@@ -2,20 +2,30 @@
 // Backend scoring logic for REWRDS
 // Uses quiz answers + card schema fields to compute a score and human-readable reasons.
 
+// Baseline weights; experiment variants come from weightProfiles.js
+const DEFAULT_WEIGHTS = require("./weightProfiles.json").profiles.baseline.weights;
+const { stateAliases } = require("./states");
+const { getPreferredRoutes, findBestTransferRoute, formatRatio } = require("./transferPartners");
+const { estimateInterestCost } = require("./interestCost");
+const { getAprDetails } = require("../catalog/aprParser");
+const { evaluateApplication } = require("./issuerRules");
+const { normalizeCard, getRewardCategories, getRewardMerchants, toMerchantKey } = require("./cardNormalization");
+const { CATCH_ALL, SPEND_CATEGORIES, findSpendCategory, getMatchingCategoryIds, isWithinCategory } = require("./categoryTaxonomy");
+
 // ---------------------------
 //  Utility Functions
 // ---------------------------
 
-function mapCreditScore(range) {
-    const map = {
-        poor: 550,
-        fair: 630,
-        good: 700,
-        very_good: 740,
-        excellent: 800,
-        none: 0
-    };
-    return map[range] || 0;
+function formatDollars(amount) {
+    return Math.round(amount).toLocaleString("en-US");
+}
+
+function formatCents(value) {
+    return `${(value * 100).toFixed(1)}¢`;
+}
+
+function currencyKey(card) {
+    return (card.rewards_currency || "").trim().toLowerCase();
 }
 
 /**
@@ -39,105 +49,547 @@ function getPointValue(effort, base, max) {
 }
 
 /**
- * Get effective reward rate (multiplier) for a given spend category on this card.
- * Uses fuzzy matching against rewards[].category.
+ * Point value for this card and user. When the user prefers airlines or hotels
+ * the card can transfer to, the best of those routes (see transferPartners.js)
+ * stands in for the card's generic point_value_max.
+ * Returns { pointValue, transferRoute } (transferRoute null if none is used).
+ */
+function getCardPointValue(card, answers) {
+    const baseline = typeof card.point_value_baseline === "number" && card.point_value_baseline > 0
+        ? card.point_value_baseline
+        : 0.01;
+    const transferRoute = findBestTransferRoute(card, answers);
+
+    const pointValue = getPointValue(
+        answers.redemption_value,
+        card.point_value_baseline,
+        transferRoute ? Math.max(transferRoute.valuePerPoint, baseline) : card.point_value_max
+    );
+
+    return { pointValue, transferRoute };
+}
+
+/**
+ * How reliably the user will activate and track rotating bonus categories:
+ * share of the rotating bonus they can actually expect to earn.
+ */
+function getActivationFactor(tracking) {
+    switch (tracking) {
+        case "yes": // activates every quarter
+            return 1;
+        case "no": // will miss most quarters
+            return 0.25;
+        case "sometimes":
+        default:
+            return 0.6;
+    }
+}
+
+/**
+ * Find the rewards[] entries that apply to a spend category, plus the card's
+ * catch-all rate. categoryName is a spend row label or id; rewards match
+ * through their taxonomy ids (see categoryTaxonomy.js).
+ *
+ * Entries with merchants[] ("5% at Amazon") only apply when shopping at one of
+ * those merchants, within their own category when they name one, and category entries don't apply at their excluded_merchants
+ * ("groceries, excluding Walmart and Target"). Without a merchant, only the
+ * category entries match.
  */
-function getRewardRateForCategory(rewards, categoryName) {
-    if (!Array.isArray(rewards) || rewards.length === 0) return 1;
+function findCategoryRewards(rewards, categoryName, merchant) {
+    if (!Array.isArray(rewards) || rewards.length === 0) {
+        return { matches: [], catchAllRate: 1 };
+    }
 
-    const lowerCategory = categoryName.toLowerCase();
+    const spendCategory = findSpendCategory(categoryName);
+    const matchingIds = spendCategory ? getMatchingCategoryIds(spendCategory.id) : new Set();
+    const merchantKey = merchant ? toMerchantKey(merchant) : null;
 
-    const KEYWORDS = {
-        dining: ["dining", "restaurant", "restaurants", "food", "eating out"],
-        groceries: ["grocery", "groceries", "supermarket", "super market"],
-        travel: ["travel", "airfare", "airline", "airlines", "flight", "hotel", "lodging"],
-        gas: ["gas", "fuel", "service station", "service stations"],
-        transit: ["transit", "rideshare", "uber", "lyft", "bus", "train", "subway", "commuter"],
-        online: ["online", "ecommerce", "e-commerce", "amazon", "digital"],
-        rent: ["rent", "landlord", "mortgage"],
-        entertainment: ["entertainment", "movies", "movie", "cinema", "concert", "sports", "streaming"],
-        utilities: ["utilities", "utility", "phone", "internet", "cable", "water", "electric"],
-        other: []
-    };
+    const categories = getRewardCategories(rewards);
+    const merchants = getRewardMerchants(rewards);
 
-    let keywordSet;
-    if (lowerCategory.includes("dining")) keywordSet = KEYWORDS.dining;
-    else if (lowerCategory.includes("grocery")) keywordSet = KEYWORDS.groceries;
-    else if (lowerCategory.includes("travel")) keywordSet = KEYWORDS.travel;
-    else if (lowerCategory.includes("gas")) keywordSet = KEYWORDS.gas;
-    else if (lowerCategory.includes("transit")) keywordSet = KEYWORDS.transit;
-    else if (lowerCategory.includes("online")) keywordSet = KEYWORDS.online;
-    else if (lowerCategory.includes("rent")) keywordSet = KEYWORDS.rent;
-    else if (lowerCategory.includes("entertainment")) keywordSet = KEYWORDS.entertainment;
-    else if (lowerCategory.includes("utilities")) keywordSet = KEYWORDS.utilities;
-    else keywordSet = KEYWORDS.other;
-
-    let bestRate = 0;
-
-    rewards.forEach(r => {
-        const cat = (r.category || "").toLowerCase();
-        if (!cat) return;
-
-        // direct include
-        if (cat.includes(lowerCategory)) {
-            if (typeof r.rate === "number" && r.rate > bestRate) bestRate = r.rate;
-            return;
-        }
+    const matches = rewards.filter((r, i) => {
+        if (typeof r.rate !== "number" || r.rate <= 0) return false;
 
-        // keyword fuzzy match
-        if (keywordSet.length && keywordSet.some(k => cat.includes(k))) {
-            if (typeof r.rate === "number" && r.rate > bestRate) bestRate = r.rate;
+        if (merchants[i].merchants.length) {
+            // "4x on gas at Costco" stays in Gas; a merchant entry with no
+            // category of its own (or a catch-all one) applies wherever the merchant is
+            const ownCategory = categories[i] && categories[i] !== CATCH_ALL;
+            return merchants[i].merchants.includes(merchantKey) && (!ownCategory || matchingIds.has(categories[i]));
         }
+
+        return matchingIds.has(categories[i]) && !merchants[i].excluded.includes(merchantKey);
     });
 
     // Fallback: catch-all category (1x or similar)
-    if (bestRate === 0) {
-        const catchAll = rewards.find(r => {
-            const c = (r.category || "").toLowerCase();
-            return c === "catch_all" || c === "everything" || c === "all purchases";
+    const catchAll = rewards.find((r, i) => categories[i] === CATCH_ALL);
+    const catchAllRate = catchAll && typeof catchAll.rate === "number" && catchAll.rate > 0
+        ? catchAll.rate
+        : 1;
+
+    return { matches, catchAllRate };
+}
+
+/**
+ * Get effective reward rate (multiplier) for a given spend category on this card,
+ * optionally at one merchant. This is the headline rate; caps are handled by
+ * getRewardTiersForCategory.
+ */
+function getRewardRateForCategory(rewards, categoryName, merchant) {
+    const { matches, catchAllRate } = findCategoryRewards(rewards, categoryName, merchant);
+    if (!matches.length) return catchAllRate;
+    return Math.max(...matches.map(r => r.rate));
+}
+
+const CAP_PERIODS_PER_YEAR = { monthly: 12, quarterly: 4, annual: 1 };
+const CAP_PERIOD_LABELS = { monthly: "mo", quarterly: "qtr", annual: "yr" };
+
+/**
+ * Annual dollar amount a capped rewards[] entry earns its bonus rate on,
+ * e.g. cap_amount 500 / cap_period "quarterly" → $2,000 a year.
+ * Returns Infinity for uncapped entries.
+ */
+function getAnnualCap(reward) {
+    if (typeof reward.cap_amount !== "number" || reward.cap_amount <= 0) return Infinity;
+    const periods = CAP_PERIODS_PER_YEAR[(reward.cap_period || "annual").toLowerCase()] || 1;
+    return reward.cap_amount * periods;
+}
+
+/**
+ * Split a category into earning tiers, highest rate first:
+ * capped bonus rates up to their annual limit, then the best uncapped rate
+ * (a matching uncapped entry, a cap's fallback_rate, or the catch-all).
+ * The last tier always has limit Infinity.
+ */
+function getRewardTiersForCategory(rewards, categoryName, merchant) {
+    const { matches, catchAllRate } = findCategoryRewards(rewards, categoryName, merchant);
+
+    const capped = [];
+    const uncappedRates = [];
+    const fallbackRates = [];
+
+    matches.forEach(r => {
+        const limit = getAnnualCap(r);
+        if (limit === Infinity) {
+            uncappedRates.push(r.rate);
+            return;
+        }
+        capped.push({
+            reward: r,
+            rate: r.rate,
+            limit,
+            capAmount: r.cap_amount,
+            capPeriod: (r.cap_period || "annual").toLowerCase()
         });
-        if (catchAll && typeof catchAll.rate === "number") bestRate = catchAll.rate;
-    }
+        if (typeof r.fallback_rate === "number") fallbackRates.push(r.fallback_rate);
+    });
 
-    if (bestRate === 0) bestRate = 1;
-    return bestRate;
+    // An explicit fallback_rate wins over the catch-all ("6% up to $6,000, then 1%")
+    let overflowRate = catchAllRate;
+    if (uncappedRates.length) overflowRate = Math.max(...uncappedRates, ...fallbackRates);
+    else if (fallbackRates.length) overflowRate = Math.max(...fallbackRates);
+
+    return [
+        ...capped.filter(t => t.rate > overflowRate).sort((a, b) => b.rate - a.rate),
+        { rate: overflowRate, limit: Infinity }
+    ];
 }
 
 /**
- * Estimate yearly rewards in dollars from user spend and card rewards.
+ * Allocate an annual spend amount across earning tiers.
+ * Returns [{ rate, spend, tier }] for every tier that receives spend.
+ */
+function splitSpendAcrossTiers(tiers, amount) {
+    const splits = [];
+    let remaining = amount;
+
+    tiers.forEach(tier => {
+        if (remaining <= 0) return;
+        const spend = Math.min(remaining, tier.limit);
+        splits.push({ rate: tier.rate, spend, tier });
+        remaining -= spend;
+    });
+
+    return splits;
+}
+
+/**
+ * Quiz spend fields summed into the taxonomy's spend rows: [[label, amount]].
  * Assumes spend is already annualized by the frontend logic.
  */
-function estimateYearlyRewards(card, answers, pointValue) {
-    const rewards = Array.isArray(card.rewards) ? card.rewards : [];
+function buildSpendMatrix(answers) {
+    return SPEND_CATEGORIES.map(({ label, fields }) => [
+        label,
+        fields.reduce((sum, field) => sum + (typeof answers[field] === "number" ? answers[field] : 0), 0)
+    ]);
+}
 
-    // Merge gas + EV charging into a single "Gas" bucket
-    const gasTotal = (answers.spendGas || 0) + (answers.spendEVCharging || 0);
-
-    const spendMatrix = [
-        ["Groceries", answers.spendGroceries],
-        ["Dining", answers.spendDining],
-        ["Travel", answers.spendTravel],
-        ["Gas", gasTotal],
-        ["Transit", answers.spendTransit],
-        ["Online Shopping", answers.spendOnline],
-        ["Rent", answers.spendRent],
-        ["Entertainment", answers.spendEntertainment],
-        ["Utilities", answers.spendUtilities],
-        ["Other", answers.spendOther]
-    ];
+/**
+ * How a spend row's spend divides across the merchants the user shops at
+ * (the row's merchantAnswer, e.g. answers.grocery): an even share per named
+ * merchant, with "other" as a share at no particular merchant.
+ * Rows without merchant answers are a single share: [{ merchant: null, share: 1 }].
+ */
+function getMerchantShares(answers, label) {
+    const category = findSpendCategory(label);
+    const picks = category && category.merchantAnswer && Array.isArray(answers[category.merchantAnswer])
+        ? answers[category.merchantAnswer]
+        : [];
+
+    const seen = new Set();
+    const merchants = picks.filter(m => {
+        const key = toMerchantKey(m);
+        if (!key || key === "none" || seen.has(key)) return false;
+        seen.add(key);
+        return true;
+    });
+
+    if (!merchants.length) return [{ merchant: null, share: 1 }];
+
+    return merchants.map(m => ({
+        merchant: toMerchantKey(m) === "other" ? null : m,
+        share: 1 / merchants.length
+    }));
+}
+
+/**
+ * Points earned on one spend row, with each merchant share earning that
+ * merchant's tiers. Capped entries share their cap across the shares.
+ * Returns { points, capped } where capped ({ tier, overflow, overflowRate })
+ * describes spend that ran past a cap.
+ */
+function estimateCategoryPoints(rewards, label, amount, answers = {}) {
+    const capUsed = new Map();
+    let points = 0;
+    let capped = null;
+
+    getMerchantShares(answers, label).forEach(({ merchant, share }) => {
+        const tiers = getRewardTiersForCategory(rewards, label, merchant).map(tier =>
+            tier.reward ? { ...tier, limit: Math.max(0, tier.limit - (capUsed.get(tier.reward) || 0)) } : tier
+        );
+        const splits = splitSpendAcrossTiers(tiers, amount * share);
+
+        splits.forEach(({ rate, spend, tier }) => {
+            points += spend * rate;
+            if (tier.reward) capUsed.set(tier.reward, (capUsed.get(tier.reward) || 0) + spend);
+        });
+
+        const full = splits.find(s => s.tier.reward && s.spend >= s.tier.limit);
+        const overflow = splits[splits.length - 1];
+        if (full && overflow.tier.limit === Infinity && overflow.spend > 0) {
+            if (!capped) capped = { tier: full.tier, overflow: 0, overflowRate: overflow.rate };
+            capped.overflow += overflow.spend;
+        }
+    });
+
+    return { points, capped };
+}
+
+/**
+ * Estimate yearly rewards in dollars from user spend and card rewards.
+ * Spend above a category's cap earns the post-cap rate, merchant rewards and
+ * exclusions apply to the user's share of spend at those merchants, and
+ * rotating quarterly categories are added on top; pass a reasons array to
+ * collect notes on caps the user's spend runs into and rotating bonuses.
+ */
+function estimateYearlyRewards(card, answers, pointValue, reasons) {
+    const rewards = Array.isArray(card.rewards) ? card.rewards : [];
 
     let total = 0;
 
-    spendMatrix.forEach(([label, amount]) => {
-        const amt = typeof amount === "number" ? amount : 0;
+    buildSpendMatrix(answers).forEach(([label, amt]) => {
         if (!amt) return;
-        const rate = getRewardRateForCategory(rewards, label);
-        total += amt * rate * pointValue;
+
+        const { points, capped } = estimateCategoryPoints(rewards, label, amt, answers);
+        total += points * pointValue;
+
+        if (reasons && capped) {
+            const { tier } = capped;
+            reasons.push(
+                `${tier.rate}x on ${label} is capped at $${formatDollars(tier.capAmount)}/${CAP_PERIOD_LABELS[tier.capPeriod] || "yr"}; ` +
+                `your ~$${formatDollars(capped.overflow)} above the cap earns ${capped.overflowRate}x`
+            );
+        }
     });
 
+    total += estimateRotatingBonus(card, answers, pointValue, reasons);
+
     return total;
 }
 
+/**
+ * Spread annual spend across quarters and place each quarter's share into
+ * that quarter's rotating bonus categories, up to the quarter's cap.
+ *
+ * card.rotating_categories shape:
+ *   { rate: 5, cap_amount: 1500, requires_activation: true,
+ *     quarters: { q1: { categories: ["Gas", "EV Charging"] }, q2: { categories: [...], cap_amount: 1500 } } }
+ *
+ * Returns [{ quarter, label, spend, rate }] for every label that earns the bonus.
+ */
+function getRotatingBonusSpend(card, spendMatrix) {
+    const rotating = card.rotating_categories;
+    if (!rotating || typeof rotating.quarters !== "object" || !rotating.quarters) return [];
+
+    const allocations = [];
+
+    ["q1", "q2", "q3", "q4"].forEach(quarter => {
+        const q = rotating.quarters[quarter] || rotating.quarters[quarter.toUpperCase()];
+        if (!q) return;
+
+        const categories = Array.isArray(q) ? q : (q.categories || []);
+        const rate = typeof q.rate === "number" ? q.rate : rotating.rate;
+        const cap = typeof q.cap_amount === "number" ? q.cap_amount : rotating.cap_amount;
+        if (typeof rate !== "number" || !categories.length) return;
+
+        // Reuse the normal category matching against this quarter's list
+        const quarterRewards = categories.map(category => ({ category, rate }));
+        let capLeft = typeof cap === "number" && cap > 0 ? cap : Infinity;
+
+        spendMatrix.forEach(([label, amt]) => {
+            if (!amt || capLeft <= 0) return;
+            if (!findCategoryRewards(quarterRewards, label).matches.length) return;
+
+            const spend = Math.min(amt / 4, capLeft);
+            capLeft -= spend;
+            allocations.push({ quarter, label, spend, rate });
+        });
+    });
+
+    return allocations;
+}
+
+/**
+ * A card's rotating bonus spend (getRotatingBonusSpend) and the share of it
+ * the user can expect to earn given how reliably they activate:
+ * { allocations, factor }.
+ */
+function getRotatingBonus(card, answers, spendMatrix = buildSpendMatrix(answers)) {
+    const allocations = getRotatingBonusSpend(card, spendMatrix);
+    const requiresActivation = allocations.length > 0 && card.rotating_categories.requires_activation !== false;
+
+    return { allocations, factor: requiresActivation ? getActivationFactor(answers.activateCategories) : 1 };
+}
+
+/**
+ * Dollars a rotating bonus (getRotatingBonus) adds over what its spend already
+ * earns, where baseValue(label) is the dollars per dollar spent on that row
+ * without it. Returns { byLabel, full, expected }: full assumes activation
+ * every quarter, expected and the per-row byLabel apply the activation factor.
+ */
+function getRotatingUplift({ allocations, factor }, pointValue, baseValue) {
+    const byLabel = {};
+    let full = 0;
+
+    allocations.forEach(({ label, spend, rate }) => {
+        const gain = spend * (rate * pointValue - baseValue(label));
+        if (gain <= 0) return;
+
+        full += gain;
+        byLabel[label] = (byLabel[label] || 0) + gain * factor;
+    });
+
+    return { byLabel, full, expected: full * factor };
+}
+
+/**
+ * Extra dollars from rotating categories over the card's normal rates,
+ * discounted by how reliably the user activates them.
+ */
+function estimateRotatingBonus(card, answers, pointValue, reasons) {
+    const rewards = Array.isArray(card.rewards) ? card.rewards : [];
+    const rotating = getRotatingBonus(card, answers);
+    const { byLabel, full, expected } = getRotatingUplift(
+        rotating,
+        pointValue,
+        label => getRewardRateForCategory(rewards, label) * pointValue
+    );
+
+    if (reasons && full > 0) {
+        const labels = Object.keys(byLabel).join(", ");
+        reasons.push(
+            rotating.factor < 1
+                ? `Rotating bonus on ${labels} is ~$${Math.round(full)}/yr if activated every quarter; counted as ~$${Math.round(expected)}`
+                : `Rotating bonus on ${labels} adds ~$${Math.round(full)}/yr`
+        );
+    }
+
+    return expected;
+}
+
+/**
+ * How much of the sign-up bonus this user can realistically earn, comparing
+ * sign_up_bonus.min_spend over spend_window_months with their monthly spend.
+ * Cards without a structured minimum spend keep the full value_estimate.
+ * Nothing counts when issuer rules make the user ineligible for the bonus
+ * (see issuerRules.js).
+ *
+ * Returns { value, fullValue, probability, reason }.
+ */
+function getBonusFeasibility(card, answers) {
+    const bonus = card.sign_up_bonus || {};
+    const fullValue = typeof bonus.value_estimate === "number" ? bonus.value_estimate : 0;
+
+    const ineligible = fullValue ? evaluateApplication(card, answers).flags.find(f => f.effect === "bonus") : null;
+    if (ineligible) {
+        return { value: 0, fullValue, probability: 0, reason: ineligible.detail };
+    }
+
+    const minSpend = typeof bonus.min_spend === "number" ? bonus.min_spend : 0;
+    const months = typeof bonus.spend_window_months === "number" && bonus.spend_window_months > 0
+        ? bonus.spend_window_months
+        : 3;
+
+    if (!fullValue || !minSpend) {
+        return { value: fullValue, fullValue, probability: 1, reason: null };
+    }
+
+    const annualSpend = buildSpendMatrix(answers).reduce((sum, [, amt]) => sum + amt, 0);
+    const userMonthly = annualSpend / 12;
+    const neededMonthly = minSpend / months;
+    const ratio = userMonthly / neededMonthly;
+
+    // Within reach → full bonus; half the pace or less → out of reach; linear in between
+    let probability = 1;
+    if (ratio < 1) probability = Math.max(0, (ratio - 0.5) / 0.5);
+
+    const gap = `You'd need ~$${formatDollars(neededMonthly)}/mo to earn the bonus; your spend is ~$${formatDollars(userMonthly)}/mo`;
+
+    let reason = null;
+    if (probability === 0) reason = gap;
+    else if (probability < 1) reason = `${gap} (bonus counted at ${Math.round(probability * 100)}%)`;
+
+    return { value: fullValue * probability, fullValue, probability, reason };
+}
+
+// How far above its usual level a bonus must be to call it out
+const ELEVATED_BONUS_RATIO = 1.15;
+
+/**
+ * Compare the card's current bonus value_estimate with its past offers
+ * (past: earlier value_estimates from card history, see catalog/cardHistory.js).
+ * "Usual" is the median past offer.
+ *
+ * Returns { current, usual, elevated } or null without a current bonus or history.
+ */
+function getBonusTrend(card, past) {
+    const bonus = card.sign_up_bonus || {};
+    const current = typeof bonus.value_estimate === "number" ? bonus.value_estimate : 0;
+    if (!current || !Array.isArray(past) || !past.length) return null;
+
+    const sorted = [...past].sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    const usual = sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+
+    return { current, usual, elevated: current >= usual * ELEVATED_BONUS_RATIO };
+}
+
+const BENEFIT_PERIODS_PER_YEAR = { monthly: 12, quarterly: 4, semiannual: 2, annual: 1 };
+
+/**
+ * How much of a credit type the user will actually use, from answers.creditUsage
+ * (e.g. { travel_credit: "full", dining_credit: 0.5 }). Unanswered types count as unused.
+ */
+function getCreditUsage(answers, type) {
+    const usage = answers.creditUsage && answers.creditUsage[type];
+
+    if (typeof usage === "number") return Math.min(1, Math.max(0, usage));
+
+    switch (usage) {
+        case "full":
+            return 1;
+        case "some":
+            return 0.5;
+        case "none":
+        default:
+            return 0;
+    }
+}
+
+/**
+ * Dollar value of the card's structured benefits to this user.
+ *
+ * card.benefits entries:
+ *   { type: "dining_credit", name: "$10 monthly dining credit", face_value: 10,
+ *     frequency: "monthly", restrictions: "Grubhub, select restaurants" }
+ *
+ * Returns { value, faceValue, used: [{ name, type, faceValue, value }] }.
+ */
+function estimateBenefitsValue(card, answers) {
+    const benefits = Array.isArray(card.benefits) ? card.benefits : [];
+
+    let value = 0;
+    let faceValue = 0;
+    const used = [];
+
+    benefits.forEach(b => {
+        if (!b || typeof b.face_value !== "number" || b.face_value <= 0) return;
+
+        const periods = BENEFIT_PERIODS_PER_YEAR[(b.frequency || "annual").toLowerCase()] || 1;
+        const annualFace = b.face_value * periods;
+        const effective = annualFace * getCreditUsage(answers, b.type);
+
+        faceValue += annualFace;
+        value += effective;
+        if (effective > 0) {
+            used.push({ name: b.name || b.type, type: b.type, faceValue: annualFace, value: Math.round(effective) });
+        }
+    });
+
+    return { value, faceValue, used };
+}
+
+/**
+ * Months of intro APR from the card's apr_details (see catalog/aprParser.js).
+ * Returns 0 when the card has no recognizable intro period.
+ */
+function getIntroAprMonths(card) {
+    const { intro } = getAprDetails(card);
+    return intro ? intro.months : 0;
+}
+
+/**
+ * Year-by-year net value: year 1 carries the bonus and any first-year fee
+ * waiver, later years are the steady state of rewards plus used credits
+ * minus the annual fee. interestByYear (see interestCost.js) is subtracted
+ * from the years it falls in. introAprMonths on each year shows how much of
+ * it the intro APR still covers.
+ */
+function projectValue(card, { yearlyRewards, bonusValue, benefitsValue = 0, interestByYear = [] }, horizonYears) {
+    const annualFee = card.annual_fee || 0;
+    const introMonths = getIntroAprMonths(card);
+
+    const years = [];
+    let cumulativeNet = 0;
+
+    for (let year = 1; year <= horizonYears; year++) {
+        const fee = year === 1 && card.annual_fee_waived_first_year ? 0 : annualFee;
+        const bonus = year === 1 ? bonusValue : 0;
+        const interest = interestByYear[year - 1] || 0;
+        const net = yearlyRewards + benefitsValue + bonus - fee - interest;
+
+        cumulativeNet += net;
+        years.push({
+            year,
+            rewards: Math.round(yearlyRewards),
+            benefits: Math.round(benefitsValue),
+            bonus: Math.round(bonus),
+            annualFee: fee,
+            interestCost: Math.round(interest),
+            introAprMonths: Math.min(12, Math.max(0, introMonths - (year - 1) * 12)),
+            net: Math.round(net),
+            cumulativeNet: Math.round(cumulativeNet)
+        });
+    }
+
+    return { horizonYears, years, cumulativeNet };
+}
+
+function normalizeHorizon(horizonYears) {
+    const n = parseInt(horizonYears, 10);
+    if (!Number.isFinite(n) || n < 1) return 1;
+    return Math.min(n, 10);
+}
+
 // Normalize quiz goals to card recommended_goals strings
 function normalizeGoalTags(goals) {
     return (goals || []).map(g => {
@@ -159,14 +611,14 @@ function normalizeGoalTags(goals) {
 //  Scoring Helpers
 // ---------------------------
 
-function scoreGoalMatch(card, answers) {
+function scoreGoalMatch(card, answers, w = DEFAULT_WEIGHTS.goalMatch) {
     const goal = answers.goal;
     if (!goal) return 0;
 
     const cardGoals = normalizeGoalTags(card.recommended_goals || []);
 
     if (cardGoals.includes(goal)) {
-        return 1.5; // strong alignment
+        return w.strong; // strong alignment
     }
 
     // soft alignment: points_miles roughly aligns to maximize_value, etc.
@@ -175,62 +627,58 @@ function scoreGoalMatch(card, answers) {
         (goal === "points_miles" && cardGoals.includes("maximize_value")) ||
         (goal === "low_interest" && cardGoals.includes("low_interest"))
     ) {
-        return 0.8;
+        return w.soft;
     }
 
-    return 0.3;
+    return w.none;
 }
 
-function scoreAnnualFeePreference(card, answers) {
+function scoreAnnualFeePreference(card, answers, w = DEFAULT_WEIGHTS.feePreference) {
     const fee = card.annual_fee || 0;
     const pref = answers.annualFee;
     if (!pref) return 0;
 
     if (pref === "no_fee") {
-        return fee === 0 ? 1.2 : 0.1;
+        return fee === 0 ? w.no_fee.noFee : w.no_fee.hasFee;
     }
     if (pref === "small_fee") {
-        if (fee === 0) return 0.8;
-        if (fee > 0 && fee <= 100) return 1.0;
-        return 0.2;
+        if (fee === 0) return w.small_fee.noFee;
+        if (fee > 0 && fee <= 100) return w.small_fee.smallFee;
+        return w.small_fee.largeFee;
     }
     if (pref === "premium") {
-        if (fee >= 400) return 1.0; // they want big-boy cards
-        if (fee >= 95) return 0.7;
-        return 0.2;
+        if (fee >= 400) return w.premium.topTier; // they want big-boy cards
+        if (fee >= 95) return w.premium.midTier;
+        return w.premium.lowTier;
     }
     return 0;
 }
 
-function scoreTravelFit(card, answers) {
+function scoreTravelFit(card, answers, w = DEFAULT_WEIGHTS.travelFit) {
     const freq = answers.travelFrequency;
     if (!freq) return 0;
 
-    const rewards = card.rewards || [];
-    const partners = card.transfer_partners || [];
-    const foreign = (card.foreign_fees || "").toLowerCase();
+    const { partners, foreignFees: foreign } = normalizeCard(card);
 
-    const hasTravelRewards = rewards.some(r => (r.category || "").toLowerCase().includes("travel"));
+    const hasTravelRewards = getRewardCategories(card.rewards).some(id => id && isWithinCategory(id, "travel"));
     const hasPartners = partners.length > 0;
     const noFX = foreign.includes("no") || foreign.includes("none") || foreign.includes("0%");
 
-    let base = { rarely: 0.2, occasionally: 0.6, frequently: 1.0 }[freq] || 0;
+    let base = w.frequency[freq] || 0;
 
     let bonus = 0;
-    if (hasTravelRewards) bonus += 0.5;
-    if (hasPartners) bonus += 0.4;
-    if (noFX) bonus += 0.4;
+    if (hasTravelRewards) bonus += w.travelRewards;
+    if (hasPartners) bonus += w.transferPartners;
+    if (noFX) bonus += w.noForeignFees;
 
     return base * (1 + bonus);
 }
 
-function scorePerks(card, answers) {
+function scorePerks(card, answers, w = DEFAULT_WEIGHTS.perks) {
     const perks = Array.isArray(answers.perks) ? answers.perks : [];
     if (!perks.length || perks.includes("none")) return 0;
 
-    const benefits = (card.credits_and_benefits || []).map(b => b.toLowerCase());
-    const manual = ((card.quiz_metadata && card.quiz_metadata.manual_tags) || []).map(t => t.toLowerCase());
-    const foreign = (card.foreign_fees || "").toLowerCase();
+    const { benefits, manualTags: manual, foreignFees: foreign } = normalizeCard(card);
 
     let score = 0;
 
@@ -238,147 +686,202 @@ function scorePerks(card, answers) {
         const pL = p.toLowerCase();
         if (pL === "lounge_access") {
             if (benefits.some(b => b.includes("lounge") || b.includes("priority pass"))) {
-                score += 0.8;
+                score += w.lounge_access;
             }
         } else if (pL === "travel_insurance") {
             if (benefits.some(b => b.includes("travel insurance") || b.includes("trip cancellation") || b.includes("trip interruption"))) {
-                score += 0.6;
+                score += w.travel_insurance;
             }
         } else if (pL === "rental_car") {
             if (benefits.some(b => b.includes("rental car") || b.includes("collision damage"))) {
-                score += 0.4;
+                score += w.rental_car;
             }
         } else if (pL === "cell_phone") {
             if (benefits.some(b => b.includes("cell phone") || b.includes("phone protection"))) {
-                score += 0.5;
+                score += w.cell_phone;
             }
         } else if (pL === "extended_warranty") {
             if (benefits.some(b => b.includes("extended warranty"))) {
-                score += 0.4;
+                score += w.extended_warranty;
             }
         } else if (pL === "purchase_protection") {
             if (benefits.some(b => b.includes("purchase protection"))) {
-                score += 0.4;
+                score += w.purchase_protection;
             }
         } else if (pL === "no_foreign_fees") {
             if (foreign.includes("no") || foreign.includes("none") || foreign.includes("0%")) {
-                score += 0.6;
+                score += w.no_foreign_fees;
             }
         } else if (pL === "credits") {
-            if (benefits.some(b => b.includes("credit") || b.includes("statement credit"))) {
-                score += 0.5;
+            const structured = Array.isArray(card.benefits) && card.benefits.some(b => b && b.face_value > 0);
+            if (structured || benefits.some(b => b.includes("credit") || b.includes("statement credit"))) {
+                score += w.credits;
             }
         } else if (pL === "elite_status") {
             if (benefits.some(b => b.includes("elite") || b.includes("gold status") || b.includes("platinum status"))) {
-                score += 0.5;
+                score += w.elite_status;
             }
         } else if (pL === "cashback_portal") {
             if (manual.some(m => m.includes("shopping portal") || m.includes("cashback portal"))) {
-                score += 0.4;
+                score += w.cashback_portal;
             }
         } else if (pL === "airport_parking") {
             if (benefits.some(b => b.includes("airport parking"))) {
-                score += 0.3;
+                score += w.airport_parking;
             }
         }
     });
 
     // cap to avoid overpowering
-    return Math.min(score, 2.0);
+    return Math.min(score, w.cap);
 }
 
-function scoreCardStrategy(card, answers) {
+function scoreCardStrategy(card, answers, w = DEFAULT_WEIGHTS.strategy) {
     const strategy = answers.cardStrategy;
     const synergy = card.pairing_synergy || [];
 
     if (strategy === "minimalist") {
-        return synergy.length === 0 ? 1.0 : 0.5;
+        return synergy.length === 0 ? w.minimalist.noSynergy : w.minimalist.synergy;
     }
     if (strategy === "optimizer") {
-        return synergy.length > 0 ? 1.0 : 0.6;
+        return synergy.length > 0 ? w.optimizer.synergy : w.optimizer.noSynergy;
     }
     if (strategy === "balanced") {
-        return 0.8;
+        return w.balanced;
     }
     return 0;
 }
 
-function scoreBusinessPreference(card, answers) {
+function scoreBusinessPreference(card, answers, w = DEFAULT_WEIGHTS.business) {
     const wants = answers.businessCards;
     const isBiz = !!card.is_business;
 
-    if (wants === "no" && isBiz) return -5; // hard no
-    if (wants === "yes" && isBiz) return 1.0;
-    if (wants === "open_to_both" && isBiz) return 0.4;
-    return 0.1;
+    if (wants === "no" && isBiz) return w.unwanted; // hard no
+    if (wants === "yes" && isBiz) return w.wanted;
+    if (wants === "open_to_both" && isBiz) return w.openToBoth;
+    return w.other;
 }
 
-function scoreLowInterest(card, answers) {
+// A minimum ongoing APR at or below this counts as low for the low_interest goal
+const LOW_ONGOING_APR = 18;
+
+function scoreLowInterest(card, answers, horizonYears = 1, w = DEFAULT_WEIGHTS.lowInterest) {
     if (answers.goal !== "low_interest") return 0;
 
-    const intro = (card.intro_apr || "").toLowerCase();
-    const ongoing = (card.ongoing_apr || "").toLowerCase();
+    // with a balance to carry, its dollar cost is already in net value
+    if (typeof answers.balanceCarried === "number" && answers.balanceCarried > 0) return 0;
+
+    const { ongoing, intro } = getAprDetails(card);
 
     let score = 0;
+    let introScore = 0;
 
-    if (intro.includes("0%")) score += 1.5;
-    if (intro.includes("balance") || intro.includes("transfer")) score += 1.0;
+    if (intro && intro.rate === 0) introScore += w.zeroIntro;
+    if (intro && intro.appliesTo.includes("balance_transfers")) introScore += w.balanceTransfer;
 
-    // crude APR check
-    if (ongoing.includes("14") || ongoing.includes("15")) score += 0.4;
+    // intro APR only counts for the share of the horizon it actually covers
+    if (intro) introScore *= Math.min(1, intro.months / (12 * horizonYears));
+
+    score += introScore;
+
+    if (ongoing && ongoing.min <= LOW_ONGOING_APR) score += w.lowOngoing;
 
     return score;
 }
 
+/**
+ * "Carrying $5,000 over 12 months costs ~$180 here ..." for a result's reasons.
+ */
+function describeInterestCost(interest) {
+    const parts = [`Carrying $${formatDollars(interest.balance)} over ${interest.payoffMonths} months costs ~$${formatDollars(interest.cost)} here`];
+
+    if (interest.introUsed) {
+        const fee = interest.transferFee > 0 ? ` after a $${formatDollars(interest.transferFee)} transfer fee` : "";
+        parts.push(`(${interest.introMonths} months of intro APR${fee} save ~$${formatDollars(interest.savings)})`);
+    } else if (interest.aprEstimated) {
+        parts.push(`assuming ~${interest.apr}% APR (this card's APR isn't listed)`);
+    } else {
+        parts.push(`at ~${interest.apr}% APR`);
+    }
+
+    return parts.join(" ");
+}
+
+function describeRoute(route) {
+    return `${formatRatio(route.ratio)} to ${route.label} (~${(route.valuePerPoint * 100).toFixed(1)}¢/pt, ${route.transferTime})`;
+}
+
 // airline and hotel loyalty based on transfer partners / benefits
-function scoreAirlineHotel(card, answers, reasons) {
-    const partners = (card.transfer_partners || []).map(p => p.toLowerCase());
-    const benefits = (card.credits_and_benefits || []).map(b => b.toLowerCase());
+// Cards in the transfer graph (transferPartners.js) match on reachable programs;
+// others fall back to their transfer_partners names.
+function scoreAirlineHotel(card, answers, reasons, w = DEFAULT_WEIGHTS.airlineHotel) {
+    const { partners, benefits } = normalizeCard(card);
 
     let score = 0;
 
-    const airlines = Array.isArray(answers.airline) ? answers.airline : [];
-    const hotels = Array.isArray(answers.hotel) ? answers.hotel : [];
-
-    const airlinePrefs = airlines.filter(a => a !== "none");
-    const hotelPrefs = hotels.filter(h => h !== "none");
-
-    if (airlinePrefs.length) {
-        airlinePrefs.forEach(a => {
-            const aL = a.toLowerCase();
-            if (aL === "international") {
-                if (partners.length > 0) {
-                    score += 1.0;
-                    reasons.push("Good airline transfer partners for international travel");
-                }
-                return;
-            }
-            const match = partners.some(p => p.includes(aL));
-            if (match) {
-                score += 1.5;
-                reasons.push(`Strong match for your preferred airline (${a})`);
+    getPreferredRoutes(card, answers).forEach(({ preference, type, route }) => {
+        const prefL = preference.toLowerCase();
+
+        if (type === "airline" && prefL === "international") {
+            if (route) {
+                score += w.international;
+                reasons.push(`Good airline transfer partners for international travel (best: ${describeRoute(route)})`);
+            } else if (partners.length > 0) {
+                score += w.international;
+                reasons.push("Good airline transfer partners for international travel");
             }
-        });
-    }
+            return;
+        }
 
-    if (hotelPrefs.length) {
-        hotelPrefs.forEach(h => {
-            const hL = h.toLowerCase();
-            const matchPartner = partners.some(p => p.includes(hL));
-            const matchBenefit = benefits.some(b => b.includes(hL) || b.includes("free night"));
-            if (matchPartner || matchBenefit) {
-                score += 1.2;
-                reasons.push(`Strong match for your preferred hotel chain (${h})`);
+        if (type === "airline") {
+            if (route) {
+                score += w.airlineMatch;
+                reasons.push(`Transfers ${describeRoute(route)} for your preferred airline (${preference})`);
+            } else if (partners.some(p => p.includes(prefL))) {
+                score += w.airlineMatch;
+                reasons.push(`Strong match for your preferred airline (${preference})`);
             }
-        });
-    }
+            return;
+        }
+
+        if (route) {
+            score += w.hotelMatch;
+            reasons.push(`Transfers ${describeRoute(route)} for your preferred hotel chain (${preference})`);
+        } else if (partners.some(p => p.includes(prefL)) || benefits.some(b => b.includes(prefL) || b.includes("free night"))) {
+            score += w.hotelMatch;
+            reasons.push(`Strong match for your preferred hotel chain (${preference})`);
+        }
+    });
 
     // Cap so airline/hotel can't completely dominate
-    return Math.min(score, 4.0);
+    return Math.min(score, w.cap);
+}
+
+/**
+ * Rate the user actually earns in a spend row across the merchants they shop
+ * at (share-weighted), with notes on merchant rewards and exclusions that move
+ * it away from the card's category rate.
+ */
+function getMerchantRate(rewards, answers, label) {
+    const categoryRate = getRewardRateForCategory(rewards, label);
+    const notes = [];
+    let rate = 0;
+
+    getMerchantShares(answers, label).forEach(({ merchant, share }) => {
+        const merchantRate = merchant ? getRewardRateForCategory(rewards, label, merchant) : categoryRate;
+        rate += merchantRate * share;
+
+        if (merchantRate > categoryRate) notes.push(`Earns ${merchantRate}x at ${merchant}, where you shop`);
+        else if (merchantRate < categoryRate) {
+            notes.push(`Its ${categoryRate}x on ${label.toLowerCase()} doesn't apply at ${merchant} (${merchantRate}x there)`);
+        }
+    });
+
+    return { rate: Math.round(rate * 100) / 100, notes };
 }
 
 // merchant/category preferences: grocery, gas/EV, online shopping
-function scoreMerchantPreferences(card, answers, reasons) {
+function scoreMerchantPreferences(card, answers, reasons, w = DEFAULT_WEIGHTS.merchant) {
     const rewards = card.rewards || [];
 
     const groceryPrefs = Array.isArray(answers.grocery) ? answers.grocery : [];
@@ -392,111 +895,376 @@ function scoreMerchantPreferences(card, answers, reasons) {
     let score = 0;
 
     if (hasRealGroceryPref) {
-        const rate = getRewardRateForCategory(rewards, "Groceries");
+        const { rate, notes } = getMerchantRate(rewards, answers, "Groceries");
         if (rate > 1) {
-            const bump = (rate - 1) * 0.7; // hard weighting
+            const bump = (rate - 1) * w.perExtraMultiplier; // hard weighting
             score += bump;
             reasons.push(`Great for your grocery spending (${rate}x on groceries)`);
         } else {
-            score -= 0.4; // they'd like grocery rewards, this card doesn't really have them
+            score += w.groceryMiss; // they'd like grocery rewards, this card doesn't really have them
         }
+        reasons.push(...notes);
     }
 
     if (hasRealGasPref) {
-        const rate = getRewardRateForCategory(rewards, "Gas");
+        const { rate, notes } = getMerchantRate(rewards, answers, "Gas");
         if (rate > 1) {
-            const bump = (rate - 1) * 0.7;
+            const bump = (rate - 1) * w.perExtraMultiplier;
             score += bump;
             reasons.push(`Strong rewards on gas/EV spending (${rate}x)`);
         } else {
-            score -= 0.3;
+            score += w.gasMiss;
         }
+        reasons.push(...notes);
     }
 
     if (hasRealOnlinePref) {
-        const rate = getRewardRateForCategory(rewards, "Online Shopping");
+        const { rate, notes } = getMerchantRate(rewards, answers, "Online Shopping");
         if (rate > 1) {
-            const bump = (rate - 1) * 0.7;
+            const bump = (rate - 1) * w.perExtraMultiplier;
             score += bump;
             reasons.push(`Well-suited for your online shopping (${rate}x)`);
         } else {
-            score -= 0.3;
+            score += w.onlineMiss;
         }
+        reasons.push(...notes);
     }
 
     // Cap merchant influence to avoid insane skew
-    return Math.min(score, 5.0);
+    return Math.min(score, w.cap);
 }
 
 // region / state-specific boost (in addition to filtering)
-function scoreRegionBoost(card, userStateLower) {
-    if (!userStateLower) return 0;
+function scoreRegionBoost(card, userStates, w = DEFAULT_WEIGHTS.region) {
+    if (!userStates.length) return 0;
 
-    const regions = Array.isArray(card.available_regions)
-        ? card.available_regions.map(r => r.toLowerCase())
-        : [];
-
-    const quizMeta = card.quiz_metadata || {};
-    const regionPriority = (quizMeta.region_priority || "").toLowerCase();
+    const { regions, regionPriority } = normalizeCard(card);
 
     let score = 0;
 
-    if (regions.includes(userStateLower)) score += 0.5;
-    if (regionPriority === userStateLower) score += 0.5;
+    if (regions.some(r => userStates.includes(r))) score += w.availableInState;
+    if (userStates.includes(regionPriority)) score += w.regionPriority;
 
     return score;
 }
 
 // ---------------------------
-//  MAIN ENGINE
+//  Eligibility Filters
 // ---------------------------
 
-function scoreCards(cards, answers) {
-    const results = [];
+/**
+ * Why a card should not be shown to this user at all, or null if it can be:
+ * visibility / availability and state + national filtering. Credit and issuer
+ * rules only lower a card's approval odds (see issuerRules.js).
+ * Returns { rule, detail } where rule is one of
+ * "visibility", "availability" or "region".
+ */
+function getExclusionReason(card, answers) {
+    // basic visibility / availability
+    if (card.visibility === false) {
+        return { rule: "visibility", detail: "Card is hidden" };
+    }
+    if (!isCardListed(card)) {
+        return { rule: "availability", detail: `Card is ${card.availability_status}` };
+    }
 
-    const userStateRaw = (answers.state || "").trim();
-    const userState = userStateRaw.toLowerCase();
-    const noState = !userState;
+    // -------------------------------
+    //  STATE + NATIONAL FILTERING
+    // -------------------------------
+    const userStates = stateAliases(answers.state);
+
+    // No state given → only show clearly national cards
+    // State given → show national + cards whose available_regions include that state
+    if (!isAvailableInState(card, answers.state)) {
+        return userStates.length
+            ? { rule: "region", detail: `Only available in ${card.available_regions.join(", ")}` }
+            : { rule: "region", detail: "Regional card and no state was given" };
+    }
 
-    const userScoreNumeric = mapCreditScore(answers.creditScore);
+    return null;
+}
+
+/**
+ * Visible and active: the baseline rule for showing a card anywhere in the app.
+ */
+function isCardListed(card) {
+    if (card.visibility === false) return false;
+    if (card.availability_status && card.availability_status !== "active") return false;
+    return true;
+}
+
+/**
+ * National cards plus regional cards that list the given state (code or name).
+ * With no state, only national cards qualify.
+ */
+function isAvailableInState(card, state) {
+    const regions = getCardRegions(card);
+    if (isNationalCard(regions)) return true;
+    const userStates = stateAliases(state);
+    return regions.some(r => userStates.includes(r));
+}
+
+function isCardEligible(card, answers) {
+    return getExclusionReason(card, answers) === null;
+}
+
+/**
+ * Filters a shown card only just passed, for explain mode.
+ */
+function getNearMisses(card, answers) {
+    const nearMisses = [];
+
+    const regions = getCardRegions(card);
+    if (stateAliases(answers.state).length && !isNationalCard(regions)) {
+        nearMisses.push({ rule: "region", detail: `Regional card, shown because you're in ${answers.state}` });
+    }
+
+    return nearMisses;
+}
+
+function getCardRegions(card) {
+    return normalizeCard(card).regions;
+}
+
+function isNationalCard(regions) {
+    return (
+        regions.length === 0 ||
+        regions.includes("us") ||
+        regions.includes("united states") ||
+        regions.includes("national")
+    );
+}
+
+/**
+ * Cards removed before scoring and the rule that removed each one
+ * (held cards as rule "held").
+ */
+function getFilteredCards(cards, answers) {
+    const filtered = [];
+
+    const heldIds = getHeldCardIds(answers);
 
     (cards || []).forEach(card => {
-        // basic visibility / availability
-        if (card.visibility === false) return;
-        if (card.availability_status && card.availability_status !== "active") return;
+        const exclusion = heldIds.includes(card.id)
+            ? { rule: "held", detail: "Already in your wallet" }
+            : getExclusionReason(card, answers);
+        if (exclusion) filtered.push({ id: card.id, name: card.name, ...exclusion });
+    });
 
-        // -------------------------------
-        //  STATE + NATIONAL FILTERING
-        // -------------------------------
-        const regions = Array.isArray(card.available_regions)
-            ? card.available_regions.map(r => r.toLowerCase())
-            : [];
-
-        const quizMeta = card.quiz_metadata || {};
-        const isNational =
-            regions.length === 0 ||
-            regions.includes("us") ||
-            regions.includes("united states") ||
-            regions.includes("national");
-
-        if (noState) {
-            // No state given → only show clearly national cards
-            if (!isNational) return;
-        } else {
-            // State given → show national + cards whose available_regions include that state
-            if (!isNational && !regions.includes(userState)) {
-                return; // hide local card from wrong state
+    return filtered;
+}
+
+// ---------------------------
+//  Held Cards (marginal value)
+// ---------------------------
+
+function getHeldCardIds(answers) {
+    return Array.isArray(answers.currentCards) ? answers.currentCards.filter(id => typeof id === "string") : [];
+}
+
+/**
+ * Dollars a card earns on each spend row the user has, rotating bonuses
+ * included (discounted by activation): { label: dollars }.
+ */
+function getCategoryValues(card, answers, pointValue) {
+    const rewards = Array.isArray(card.rewards) ? card.rewards : [];
+    const spendMatrix = buildSpendMatrix(answers);
+    const values = {};
+
+    spendMatrix.forEach(([label, amt]) => {
+        if (!amt) return;
+        values[label] = estimateCategoryPoints(rewards, label, amt, answers).points * pointValue;
+    });
+
+    const { byLabel } = getRotatingUplift(
+        getRotatingBonus(card, answers, spendMatrix),
+        pointValue,
+        label => getRewardRateForCategory(rewards, label) * pointValue
+    );
+    Object.entries(byLabel).forEach(([label, uplift]) => {
+        values[label] += uplift;
+    });
+
+    return values;
+}
+
+/**
+ * The wallet the user already has (answers.currentCards), or null when none of
+ * those ids are in the catalog. Held cards sharing a rewards_currency redeem at
+ * the best point value among them.
+ * Returns { cards, pointValues: { currency: { value, card } },
+ *           categoryValues: { label: { value, card } } } with the best held
+ * card for each spend row.
+ */
+function buildHeldWallet(cards, answers) {
+    const ids = getHeldCardIds(answers);
+    const held = (cards || []).filter(card => ids.includes(card.id));
+    if (!held.length) return null;
+
+    const ownValues = new Map(held.map(card => [card, getCardPointValue(card, answers).pointValue]));
+
+    const pointValues = {};
+    held.forEach(card => {
+        const currency = currencyKey(card);
+        const value = ownValues.get(card);
+        if (currency && (!pointValues[currency] || value > pointValues[currency].value)) {
+            pointValues[currency] = { value, card };
+        }
+    });
+
+    const categoryValues = {};
+    held.forEach(card => {
+        const pooled = pointValues[currencyKey(card)];
+        const pointValue = pooled ? pooled.value : ownValues.get(card);
+
+        Object.entries(getCategoryValues(card, answers, pointValue)).forEach(([label, value]) => {
+            if (!categoryValues[label] || value > categoryValues[label].value) {
+                categoryValues[label] = { value, card };
             }
+        });
+    });
+
+    return { cards: held, pointValues, categoryValues };
+}
+
+/**
+ * Yearly dollars a card adds on top of the held wallet: on each spend row,
+ * what it earns beyond the best held card there (never below zero).
+ * Pass a reasons array to collect where the gains come from.
+ */
+function estimateMarginalRewards(card, answers, pointValue, heldWallet, reasons) {
+    const gains = [];
+
+    Object.entries(getCategoryValues(card, answers, pointValue)).forEach(([label, value]) => {
+        const best = heldWallet.categoryValues[label];
+        const gain = value - (best ? best.value : 0);
+        if (gain > 0) gains.push({ label, gain, over: best ? best.card : null });
+    });
+
+    const total = gains.reduce((sum, g) => sum + g.gain, 0);
+
+    if (reasons) {
+        if (Math.round(total) > 0) {
+            const top = gains
+                .sort((a, b) => b.gain - a.gain)
+                .slice(0, 3)
+                .map(g => `${g.label} +$${formatDollars(g.gain)}${g.over ? ` over your ${g.over.name}` : ""}`);
+            reasons.push(`Adds ~$${formatDollars(total)}/yr in rewards over your current cards (${top.join(", ")})`);
+        } else {
+            reasons.push("Earns no more than your current cards on your spending");
         }
+    }
 
-        // -------------------------------
-        //  Credit Qualification Filter
-        // -------------------------------
-        const minScore = typeof card.min_credit_score === "number"
-            ? card.min_credit_score
-            : null;
+    return total;
+}
 
-        if (minScore && userScoreNumeric > 0 && userScoreNumeric + 20 < minScore) return;
+/**
+ * Product family for product changes: card.product_family, else the issuer's
+ * cards in the same rewards currency. Personal and business cards never mix.
+ */
+function getProductFamily(card) {
+    const issuer = (card.issuer || "").trim().toLowerCase();
+    const family = typeof card.product_family === "string" && card.product_family.trim()
+        ? card.product_family.trim().toLowerCase()
+        : currencyKey(card);
+    if (!issuer || !family) return null;
+
+    return `${issuer}:${family}:${card.is_business ? "business" : "personal"}`;
+}
+
+/**
+ * Held cards this card could be reached from by a product change or upgrade.
+ */
+function getProductChangeSources(card, heldWallet) {
+    const family = getProductFamily(card);
+    if (!family || !heldWallet) return [];
+
+    return heldWallet.cards.filter(held => held.id !== card.id && getProductFamily(held) === family);
+}
+
+// ---------------------------
+//  MAIN ENGINE
+// ---------------------------
+
+/**
+ * Dollar value of one card for a set of answers: rewards, feasible bonus,
+ * used credits and the year-by-year projection over horizonYears.
+ * With a heldWallet (see buildHeldWallet) rewards are only what the card adds
+ * over the user's current cards, and its points redeem at least as well as
+ * held points in the same currency.
+ * Shared by scoreCards and the per-card tools (compare, analysis).
+ */
+function valueCard(card, answers, horizonYears = 1, reasons, heldWallet = null) {
+    const own = getCardPointValue(card, answers);
+    const { transferRoute } = own;
+    let pointValue = own.pointValue;
+
+    const pooled = heldWallet ? heldWallet.pointValues[currencyKey(card)] : null;
+    if (pooled && pooled.value > pointValue) {
+        pointValue = pooled.value;
+        if (reasons) reasons.push(`Points pool with your ${pooled.card.name} at ~${formatCents(pooled.value)} each`);
+    }
+
+    const yearlyRewards = heldWallet
+        ? estimateMarginalRewards(card, answers, pointValue, heldWallet, reasons)
+        : estimateYearlyRewards(card, answers, pointValue, reasons);
+    const bonus = getBonusFeasibility(card, answers);
+    const benefits = estimateBenefitsValue(card, answers);
+    const interest = estimateInterestCost(card, answers);
+
+    const projection = projectValue(
+        card,
+        {
+            yearlyRewards,
+            bonusValue: bonus.value,
+            benefitsValue: benefits.value,
+            interestByYear: interest ? interest.byYear : []
+        },
+        horizonYears
+    );
+
+    return {
+        pointValue,
+        transferRoute,
+        yearlyRewards,
+        bonus,
+        benefits,
+        interest,
+        projection,
+        averageNet: projection.cumulativeNet / horizonYears
+    };
+}
+
+// How approval bands read in reasons
+const APPROVAL_LABELS = { high: "high", medium: "fair", low: "low", very_low: "very low" };
+
+/**
+ * Rank cards for a set of quiz answers.
+ * options.horizonYears (1-10, default 1) ranks by average yearly net value
+ * over that many years instead of the first year alone.
+ * options.explain attaches a per-factor breakdown to every result.
+ * options.weights overrides the baseline weight profile (see weightProfiles.js).
+ * options.bonusHistory ({ cardId: [past bonus value_estimates] }) flags
+ * bonuses that are higher than usual.
+ * Every result carries approval: { band, bonusEligible, flags } (see issuerRules.js);
+ * very_low cards rank after all others whatever their score.
+ * When answers.currentCards names cards in the catalog, candidates are valued
+ * on what they add over those cards, held cards are left out, and cards a
+ * held card can be product-changed into list it in productChangeFrom.
+ */
+function scoreCards(cards, answers, options = {}) {
+    const results = [];
+    const horizonYears = normalizeHorizon(options.horizonYears);
+    const weights = options.weights || DEFAULT_WEIGHTS;
+
+    const userStates = stateAliases(answers.state);
+
+    const heldIds = getHeldCardIds(answers);
+    const heldWallet = buildHeldWallet(cards, answers);
+
+    (cards || []).forEach(card => {
+        if (!isCardEligible(card, answers)) return;
+        if (heldIds.includes(card.id)) return;
 
         // -------------------------------
         //  VALUE CALCULATIONS
@@ -504,67 +1272,231 @@ function scoreCards(cards, answers) {
         let reasons = [];
         let score = 0;
 
-        const pointValue = getPointValue(
-            answers.redemption_value,
-            card.point_value_baseline,
-            card.point_value_max
-        );
-
-        const yearlyRewards = estimateYearlyRewards(card, answers, pointValue);
-
-        const bonusValue = card.sign_up_bonus && typeof card.sign_up_bonus.value_estimate === "number"
-            ? card.sign_up_bonus.value_estimate
-            : 0;
-
+        // every score contribution, with the inputs it used (for explain mode)
+        const factors = [];
+        const addFactor = (factor, contribution, inputs) => {
+            factors.push({ factor, contribution: parseFloat(contribution.toFixed(2)), inputs });
+            score += contribution;
+        };
+
+        const rewardNotes = [];
+        const {
+            pointValue,
+            transferRoute,
+            yearlyRewards,
+            bonus,
+            benefits,
+            interest,
+            projection,
+            averageNet
+        } = valueCard(card, answers, horizonYears, rewardNotes, heldWallet);
+
+        const bonusValue = bonus.value;
         const annualFee = card.annual_fee || 0;
 
-        const netFirstYear = yearlyRewards + bonusValue - annualFee;
-
-        score += netFirstYear / 100; // 100 net dollars ≈ +1.0 score
+        const application = evaluateApplication(card, answers);
+
+        // average yearly net over the horizon (year 1 alone by default)
+        addFactor("netValue", averageNet * weights.netValue.perDollar, { // 100 net dollars ≈ +1.0 score at baseline
+            pointValue,
+            transferRoute: transferRoute && transferRoute.program,
+            yearlyRewards: Math.round(yearlyRewards),
+            benefitsValue: Math.round(benefits.value),
+            bonusValue: Math.round(bonusValue),
+            bonusProbability: bonus.probability,
+            annualFee,
+            interestCost: interest ? interest.cost : 0,
+            interestAprEstimated: interest ? interest.aprEstimated : false,
+            heldCards: heldWallet ? heldWallet.cards.map(c => c.id) : [],
+            horizonYears,
+            averageNet: Math.round(averageNet)
+        });
 
-        if (yearlyRewards > 0) {
+        // marginal value notes its own gains over the held cards
+        if (yearlyRewards > 0 && !heldWallet) {
             reasons.push(`Estimated ~$${Math.round(yearlyRewards)} in yearly rewards`);
         }
-        if (bonusValue > 0) {
+        reasons.push(...rewardNotes);
+        const productChangeFrom = getProductChangeSources(card, heldWallet);
+        if (productChangeFrom.length) {
+            reasons.push(
+                `Also reachable as a product change from your ${productChangeFrom.map(c => c.name).join(" or ")} ` +
+                "(no new application, but usually no sign-up bonus)"
+            );
+        }
+        if (benefits.value > 0) {
+            reasons.push(`~$${Math.round(benefits.value)}/yr in credits you'd use (of $${Math.round(benefits.faceValue)} offered)`);
+        }
+        if (bonus.reason) {
+            reasons.push(bonus.reason);
+        } else if (bonusValue > 0) {
             reasons.push(`Intro bonus worth about $${Math.round(bonusValue)}`);
         }
+        if (application.band !== "high") {
+            const why = application.flags.filter(f => f.effect === "approval").map(f => f.detail).join("; ");
+            reasons.push(`Approval odds: ${APPROVAL_LABELS[application.band]}${why ? ` (${why})` : ""}`);
+        }
+        const bonusTrend = getBonusTrend(card, (options.bonusHistory || {})[card.id]);
+        if (bonusTrend && bonusTrend.elevated) {
+            reasons.push(`Bonus is higher than usual (~$${formatDollars(bonusTrend.current)} vs a typical ~$${formatDollars(bonusTrend.usual)})`);
+        }
+        if (interest) {
+            reasons.push(describeInterestCost(interest));
+        }
         if (annualFee > 0) {
-            reasons.push(`Annual fee: $${annualFee}`);
+            reasons.push(card.annual_fee_waived_first_year
+                ? `Annual fee: $${annualFee} (waived the first year)`
+                : `Annual fee: $${annualFee}`);
         } else {
             reasons.push("No annual fee");
         }
+        if (horizonYears > 1) {
+            reasons.push(`~$${formatDollars(projection.cumulativeNet)} net over ${horizonYears} years`);
+
+            const introMonths = getIntroAprMonths(card);
+            if (introMonths > 0 && introMonths < horizonYears * 12) {
+                reasons.push(`Intro APR ends after ${introMonths} months`);
+            }
+        }
 
         // -------------------------------
         //  QUIZ-BASED ADJUSTMENTS
         // -------------------------------
 
-        score += scoreGoalMatch(card, answers);
-        score += scoreAnnualFeePreference(card, answers);
-        score += scoreTravelFit(card, answers);
-        score += scorePerks(card, answers);
-        score += scoreCardStrategy(card, answers);
-        score += scoreBusinessPreference(card, answers);
-        score += scoreLowInterest(card, answers);
+        addFactor("goalMatch", scoreGoalMatch(card, answers, weights.goalMatch), {
+            goal: answers.goal,
+            cardGoals: normalizeGoalTags(card.recommended_goals || [])
+        });
+        addFactor("feePreference", scoreAnnualFeePreference(card, answers, weights.feePreference), {
+            annualFee: answers.annualFee,
+            cardFee: annualFee
+        });
+        addFactor("travelFit", scoreTravelFit(card, answers, weights.travelFit), {
+            travelFrequency: answers.travelFrequency,
+            transferPartners: (card.transfer_partners || []).length,
+            foreignFees: card.foreign_fees
+        });
+        addFactor("perks", scorePerks(card, answers, weights.perks), {
+            perks: answers.perks
+        });
+        addFactor("strategy", scoreCardStrategy(card, answers, weights.strategy), {
+            cardStrategy: answers.cardStrategy,
+            pairingSynergy: card.pairing_synergy || []
+        });
+        addFactor("business", scoreBusinessPreference(card, answers, weights.business), {
+            businessCards: answers.businessCards,
+            isBusiness: !!card.is_business
+        });
+        addFactor("lowInterest", scoreLowInterest(card, answers, horizonYears, weights.lowInterest), {
+            goal: answers.goal,
+            introApr: card.intro_apr,
+            ongoingApr: card.ongoing_apr,
+            aprDetails: getAprDetails(card),
+            balanceCarried: answers.balanceCarried,
+            horizonYears
+        });
 
         // Airline / hotel loyalty
-        score += scoreAirlineHotel(card, answers, reasons);
+        addFactor("airlineHotel", scoreAirlineHotel(card, answers, reasons, weights.airlineHotel), {
+            airline: answers.airline,
+            hotel: answers.hotel,
+            transferPartners: card.transfer_partners || []
+        });
 
         // Grocery / Gas / Online shopping preferences (hard-weighted)
-        score += scoreMerchantPreferences(card, answers, reasons);
+        addFactor("merchant", scoreMerchantPreferences(card, answers, reasons, weights.merchant), {
+            grocery: answers.grocery,
+            gas: answers.gas,
+            onlineShopping: answers.onlineShopping
+        });
 
         // Region/state boost
-        score += scoreRegionBoost(card, userState);
+        addFactor("region", scoreRegionBoost(card, userStates, weights.region), {
+            state: answers.state,
+            availableRegions: card.available_regions || [],
+            regionPriority: (card.quiz_metadata || {}).region_priority
+        });
+
+        // Approval odds replace a hard credit cutoff (see issuerRules.js)
+        // sessions stored before approval weights existed fall back to the baseline
+        const approvalWeights = weights.approval || DEFAULT_WEIGHTS.approval;
+        addFactor("approval", approvalWeights[application.band] || 0, {
+            band: application.band,
+            creditScore: application.score,
+            minCreditScore: application.minScore,
+            recentApplications: answers.recentApplications,
+            flags: application.flags.map(f => f.rule)
+        });
 
         const finalScore = parseFloat(score.toFixed(2));
 
-        results.push({
+        const result = {
             ...card,
             score: finalScore,
+            benefitsValue: Math.round(benefits.value),
+            transferRoute,
+            productChangeFrom: productChangeFrom.map(c => ({ id: c.id, name: c.name })),
+            approval: {
+                band: application.band,
+                bonusEligible: application.bonusEligible,
+                flags: application.flags
+            },
+            projection: {
+                horizonYears,
+                years: projection.years,
+                cumulativeNet: Math.round(projection.cumulativeNet)
+            },
             reasons: reasons.slice(0, 6)
-        });
+        };
+
+        if (options.explain) {
+            result.explanation = {
+                factors,
+                nearMisses: getNearMisses(card, answers),
+                allReasons: reasons
+            };
+        }
+
+        results.push(result);
     });
 
-    return results.sort((a, b) => b.score - a.score);
+    // Cards the user very likely can't get rank below every card they can, like
+    // the wallet optimizer leaving them out; they stay listed with their reasons
+    const unlikely = r => (r.approval.band === "very_low" ? 1 : 0);
+    return results.sort((a, b) => unlikely(a) - unlikely(b) || b.score - a.score);
 }
 
-module.exports = { scoreCards };
+module.exports = {
+    scoreCards,
+    valueCard,
+    buildHeldWallet,
+    getHeldCardIds,
+    getProductChangeSources,
+    currencyKey,
+    formatCents,
+    isCardEligible,
+    isCardListed,
+    isAvailableInState,
+    normalizeGoalTags,
+    getExclusionReason,
+    getFilteredCards,
+    getPointValue,
+    getCardPointValue,
+    getActivationFactor,
+    getRewardRateForCategory,
+    getRewardTiersForCategory,
+    splitSpendAcrossTiers,
+    getMerchantShares,
+    estimateCategoryPoints,
+    buildSpendMatrix,
+    getRotatingBonusSpend,
+    getRotatingBonus,
+    getRotatingUplift,
+    getCategoryValues,
+    estimateYearlyRewards,
+    getBonusFeasibility,
+    getBonusTrend,
+    estimateBenefitsValue,
+    getIntroAprMonths,
+    projectValue
+};
@@ -0,0 +1,291 @@
+// spendAnalysis.js
+// Break-even and sensitivity analysis for REWRDS recommendations.
+// Answers "at what spend does card A overtake card B?" and "how stable is my top 5?".
+
+const {
+    scoreCards,
+    valueCard,
+    buildSpendMatrix,
+    buildHeldWallet,
+    currencyKey,
+    getCardPointValue,
+    getMerchantShares,
+    getRewardTiersForCategory,
+    getRotatingBonusSpend
+} = require("./scoringEngine");
+const { findSpendCategory } = require("./categoryTaxonomy");
+
+const SENSITIVITY_STEP = 0.25;
+const TOP_N = 5;
+const SCAN_STEPS = 20;
+const MIN_SCAN_CEILING = 50000;
+
+// ---------------------------
+//  Utility Functions
+// ---------------------------
+
+function formatDollars(amount) {
+    return Math.round(amount).toLocaleString("en-US");
+}
+
+function feeLabel(card) {
+    return card.annual_fee > 0 ? `$${card.annual_fee}-fee ${card.name}` : `no-fee ${card.name}`;
+}
+
+/**
+ * Answers with one category's annual spend replaced. For rows made of several
+ * spend fields (Gas + EV charging) the others keep the user's spend and the
+ * first field takes the rest, so the new amount applies to the whole row.
+ */
+function withCategorySpend(answers, category, amount) {
+    const [field, ...others] = findSpendCategory(category).fields;
+    const otherSpend = others.reduce((sum, f) => sum + (answers[f] || 0), 0);
+    return { ...answers, [field]: Math.max(0, amount - otherSpend) };
+}
+
+// Net value on top of the cards the user already holds (answers.currentCards),
+// as scoreCards ranks it
+function netValue(card, answers, horizonYears, cards) {
+    return valueCard(card, answers, horizonYears, undefined, buildHeldWallet(cards, answers)).averageNet;
+}
+
+/**
+ * How a card earns on one spend category: for each merchant share, its tiers
+ * as [dollars per dollar, limit / share], plus whether a rotating quarter
+ * covers the category. The limits are where the card's earnings change pace.
+ */
+function describeEarning(card, answers, category, heldWallet) {
+    const rewards = Array.isArray(card.rewards) ? card.rewards : [];
+    const pooled = heldWallet ? heldWallet.pointValues[currencyKey(card)] : null;
+    const pointValue = Math.max(getCardPointValue(card, answers).pointValue, pooled ? pooled.value : 0);
+
+    return {
+        shares: getMerchantShares(answers, category).map(({ merchant, share }) =>
+            getRewardTiersForCategory(rewards, category, merchant).map(t => [t.rate * pointValue, t.limit / share])
+        ),
+        rotating: getRotatingBonusSpend(card, [[category, 1]]).length > 0
+    };
+}
+
+function sameEarning(a, b) {
+    return !a.rotating && !b.rotating && JSON.stringify(a.shares) === JSON.stringify(b.shares);
+}
+
+/**
+ * Amounts to check for a crossing: an even grid up to the ceiling plus every
+ * cap limit (and rotating quarter cap) of the two cards and the held ones,
+ * where the gap bends.
+ */
+function getScanPoints(cards, category, ceiling) {
+    const points = new Set();
+    for (let i = 0; i <= SCAN_STEPS; i++) points.add((i * ceiling) / SCAN_STEPS);
+
+    cards.forEach(({ card, earning }) => {
+        earning.shares.forEach(tiers => tiers.forEach(([, limit]) => points.add(limit)));
+        if (earning.rotating) {
+            const cap = card.rotating_categories.cap_amount;
+            if (typeof cap === "number" && cap > 0) points.add(cap * 4);
+        }
+    });
+
+    return [...points].filter(p => p >= 0 && p <= ceiling).sort((a, b) => a - b);
+}
+
+// ---------------------------
+//  Break-even
+// ---------------------------
+
+/**
+ * Spend levels in one category where cardA and cardB swap places.
+ * Between scan points the gap in value is (nearly always) a straight line, so
+ * each sign change is solved by interpolation, falling back to bisecting down
+ * to ~$10 where the segment bends (sign-up bonus minimums coming into reach).
+ * Categories where both cards earn the same per dollar have no crossing.
+ */
+function findCrossings(cardA, cardB, cards, answers, category, horizonYears, ceiling) {
+    const heldWallet = buildHeldWallet(cards, answers);
+    const earningA = describeEarning(cardA, answers, category, heldWallet);
+    const earningB = describeEarning(cardB, answers, category, heldWallet);
+    if (sameEarning(earningA, earningB)) return [];
+
+    const gap = amount => {
+        const a = withCategorySpend(answers, category, amount);
+        return netValue(cardA, a, horizonYears, cards) - netValue(cardB, a, horizonYears, cards);
+    };
+
+    const solve = (lo, gLo, hi, gHi) => {
+        const guess = lo + ((hi - lo) * gLo) / (gLo - gHi);
+        if (Math.abs(gap(guess)) < 0.01) return guess;
+
+        while (hi - lo > 10) {
+            const mid = (lo + hi) / 2;
+            if (Math.sign(gap(mid)) === Math.sign(gLo)) lo = mid;
+            else hi = mid;
+        }
+        return hi;
+    };
+
+    const held = heldWallet ? heldWallet.cards : [];
+    const scanPoints = getScanPoints(
+        [
+            { card: cardA, earning: earningA },
+            { card: cardB, earning: earningB },
+            ...held.map(card => ({ card, earning: describeEarning(card, answers, category, heldWallet) }))
+        ],
+        category,
+        ceiling
+    );
+
+    const crossings = [];
+    let prevAmount = scanPoints[0];
+    let prevGap = gap(prevAmount);
+
+    scanPoints.slice(1).forEach(amount => {
+        const g = gap(amount);
+
+        if (Math.sign(g) !== Math.sign(prevGap) && g !== 0) {
+            crossings.push({ amount: Math.round(solve(prevAmount, prevGap, amount, g)), aWinsAbove: g > 0 });
+        }
+
+        prevAmount = amount;
+        prevGap = g;
+    });
+
+    return crossings;
+}
+
+/**
+ * For each spend category the user spends in, where (if anywhere) cardA and
+ * cardB trade places, relative to what the user spends there today. Values
+ * are on top of the user's held cards, like the ranking.
+ */
+function breakEvenBetween(cardA, cardB, cards, answers, horizonYears) {
+    const spendMatrix = buildSpendMatrix(answers).filter(([, amt]) => amt > 0);
+    const currentGap = netValue(cardA, answers, horizonYears, cards) - netValue(cardB, answers, horizonYears, cards);
+    const leader = currentGap >= 0 ? cardA : cardB;
+    const trailer = leader === cardA ? cardB : cardA;
+
+    const categories = spendMatrix.map(([category, current]) => {
+        const ceiling = Math.max(MIN_SCAN_CEILING, current * 4);
+        const crossings = findCrossings(trailer, leader, cards, answers, category, horizonYears, ceiling);
+
+        // the crossing the user is most likely to hit: closest to today's spend
+        const nearest = crossings.sort((x, y) => Math.abs(x.amount - current) - Math.abs(y.amount - current))[0];
+
+        if (!nearest) {
+            return { category, currentSpend: current, breakEvenSpend: null, insight: null };
+        }
+
+        const direction = nearest.aWinsAbove ? "exceeds" : "drops below";
+        return {
+            category,
+            currentSpend: current,
+            breakEvenSpend: nearest.amount,
+            insight: `The ${feeLabel(trailer)} beats the ${feeLabel(leader)} once ${category.toLowerCase()} ` +
+                `${direction} $${formatDollars(Math.round(nearest.amount / 100) * 100)}/yr ` +
+                `(you spend ~$${formatDollars(current)})`
+        };
+    });
+
+    return {
+        leader: { id: leader.id, name: leader.name, netValue: Math.round(netValue(leader, answers, horizonYears, cards)) },
+        challenger: { id: trailer.id, name: trailer.name, netValue: Math.round(netValue(trailer, answers, horizonYears, cards)) },
+        categories
+    };
+}
+
+/**
+ * The pairs worth explaining: the best fee card vs the best no-fee card,
+ * and #1 vs #2 when that's a different matchup.
+ */
+function pickBreakEvenPairs(ranked) {
+    const pairs = [];
+
+    const topFee = ranked.find(c => (c.annual_fee || 0) > 0);
+    const topNoFee = ranked.find(c => !(c.annual_fee > 0));
+    if (topFee && topNoFee) pairs.push([topFee, topNoFee]);
+
+    if (ranked.length >= 2) {
+        const [first, second] = ranked;
+        const seen = pairs.some(([a, b]) =>
+            (a.id === first.id && b.id === second.id) || (a.id === second.id && b.id === first.id)
+        );
+        if (!seen) pairs.push([first, second]);
+    }
+
+    return pairs;
+}
+
+// ---------------------------
+//  Sensitivity
+// ---------------------------
+
+function diffTopN(baseIds, nextIds) {
+    return {
+        entered: nextIds.filter(id => !baseIds.includes(id)),
+        left: baseIds.filter(id => !nextIds.includes(id)),
+        moved: nextIds
+            .filter(id => baseIds.includes(id) && baseIds.indexOf(id) !== nextIds.indexOf(id))
+            .map(id => ({ id, from: baseIds.indexOf(id) + 1, to: nextIds.indexOf(id) + 1 }))
+    };
+}
+
+/**
+ * Re-rank with each spend category moved ±25% and report how the top 5 changes.
+ */
+function sensitivity(cards, answers, scoreOptions, baseIds) {
+    const rows = [];
+
+    buildSpendMatrix(answers).forEach(([category, amt]) => {
+        if (!amt) return;
+
+        [-SENSITIVITY_STEP, SENSITIVITY_STEP].forEach(step => {
+            const adjusted = withCategorySpend(answers, category, amt * (1 + step));
+            const top = scoreCards(cards, adjusted, scoreOptions).slice(0, TOP_N).map(c => c.id);
+            const changes = diffTopN(baseIds, top);
+            const stable = !changes.entered.length && !changes.moved.length;
+
+            rows.push({
+                category,
+                change: `${step > 0 ? "+" : "-"}${Math.round(SENSITIVITY_STEP * 100)}%`,
+                spend: Math.round(amt * (1 + step)),
+                top,
+                changes,
+                stable
+            });
+        });
+    });
+
+    return rows;
+}
+
+// ---------------------------
+//  MAIN ANALYSIS
+// ---------------------------
+
+/**
+ * Break-even spend between the cards users usually weigh against each other,
+ * plus how the top 5 responds to ±25% in each spend category.
+ * scoreOptions are passed through to scoreCards (horizonYears, weights).
+ */
+function analyzeSpend(cards, answers, scoreOptions = {}) {
+    const horizonYears = scoreOptions.horizonYears || 1;
+
+    const ranked = scoreCards(cards, answers, scoreOptions);
+    const baseIds = ranked.slice(0, TOP_N).map(c => c.id);
+
+    const breakEven = pickBreakEvenPairs(ranked.slice(0, 10))
+        .map(([a, b]) => breakEvenBetween(a, b, cards, answers, horizonYears));
+
+    const sensitivityRows = sensitivity(cards, answers, scoreOptions, baseIds);
+
+    return {
+        top: ranked.slice(0, TOP_N).map(c => ({ id: c.id, name: c.name, score: c.score })),
+        breakEven,
+        sensitivity: sensitivityRows,
+        stableCategories: [...new Set(sensitivityRows.map(r => r.category))]
+            .filter(category => sensitivityRows.filter(r => r.category === category).every(r => r.stable))
+    };
+}
+
+module.exports = { analyzeSpend };
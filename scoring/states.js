@@ -0,0 +1,86 @@
+// states.js
+// US state codes and names, used to normalize answers.state and match card regions.
+
+const STATES = {
+    AL: "Alabama",
+    AK: "Alaska",
+    AZ: "Arizona",
+    AR: "Arkansas",
+    CA: "California",
+    CO: "Colorado",
+    CT: "Connecticut",
+    DE: "Delaware",
+    DC: "District of Columbia",
+    FL: "Florida",
+    GA: "Georgia",
+    HI: "Hawaii",
+    ID: "Idaho",
+    IL: "Illinois",
+    IN: "Indiana",
+    IA: "Iowa",
+    KS: "Kansas",
+    KY: "Kentucky",
+    LA: "Louisiana",
+    ME: "Maine",
+    MD: "Maryland",
+    MA: "Massachusetts",
+    MI: "Michigan",
+    MN: "Minnesota",
+    MS: "Mississippi",
+    MO: "Missouri",
+    MT: "Montana",
+    NE: "Nebraska",
+    NV: "Nevada",
+    NH: "New Hampshire",
+    NJ: "New Jersey",
+    NM: "New Mexico",
+    NY: "New York",
+    NC: "North Carolina",
+    ND: "North Dakota",
+    OH: "Ohio",
+    OK: "Oklahoma",
+    OR: "Oregon",
+    PA: "Pennsylvania",
+    PR: "Puerto Rico",
+    RI: "Rhode Island",
+    SC: "South Carolina",
+    SD: "South Dakota",
+    TN: "Tennessee",
+    TX: "Texas",
+    UT: "Utah",
+    VT: "Vermont",
+    VA: "Virginia",
+    WA: "Washington",
+    WV: "West Virginia",
+    WI: "Wisconsin",
+    WY: "Wyoming"
+};
+
+const CODES_BY_NAME = Object.fromEntries(
+    Object.entries(STATES).map(([code, name]) => [name.toLowerCase(), code])
+);
+
+/**
+ * "ut", "Utah" or " UTAH " → "UT". Returns null for anything else.
+ */
+function toStateCode(value) {
+    const v = String(value || "").trim();
+    if (!v) return null;
+    if (STATES[v.toUpperCase()]) return v.toUpperCase();
+    return CODES_BY_NAME[v.toLowerCase()] || null;
+}
+
+/**
+ * Lowercased spellings a card region may use for the same state
+ * (code and full name), so "UT" matches regions listed as "utah".
+ */
+function stateAliases(value) {
+    const code = toStateCode(value);
+    if (!code) {
+        const v = String(value || "").trim().toLowerCase();
+        return v ? [v] : [];
+    }
+    return [code.toLowerCase(), STATES[code].toLowerCase()];
+}
+
+module.exports = { STATES, toStateCode, stateAliases };
@@ -0,0 +1,124 @@
+// transferPartners.js
+// Transfer partner graph (transferPartners.json): edges from a rewards currency
+// to airline and hotel loyalty programs, each with a transfer ratio (program
+// miles per point) and transfer time. Programs carry a value per mile, so a
+// route is worth ratio × valuePerMile per point.
+//
+// A card reaches its currency's partners only if it lists transfer_partners;
+// cash-back versions of a currency (e.g. Chase Freedom on its own) don't transfer.
+
+const { programs: PROGRAMS, currencies: CURRENCIES } = require("./transferPartners.json");
+
+// ---------------------------
+//  Loading
+// ---------------------------
+
+// Fail at startup on an edge to a program that isn't defined
+Object.entries(CURRENCIES).forEach(([id, currency]) => {
+    currency.partners.forEach(edge => {
+        if (!PROGRAMS[edge.program]) {
+            throw new Error(`transferPartners: ${id} links to unknown program "${edge.program}"`);
+        }
+    });
+});
+
+const currencyByAlias = new Map();
+Object.entries(CURRENCIES).forEach(([id, currency]) => {
+    [id, ...currency.aliases].forEach(alias => currencyByAlias.set(alias.toLowerCase(), id));
+});
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+// [{ id, type, pattern }] matching a program alias as whole words
+const PROGRAM_PATTERNS = Object.entries(PROGRAMS).flatMap(([id, program]) =>
+    program.aliases.map(alias => ({
+        id,
+        type: program.type,
+        pattern: new RegExp(`(?<![a-z0-9])${escapeRegExp(alias.toLowerCase())}(?![a-z0-9])`)
+    }))
+);
+
+const routesByCard = new WeakMap();
+
+// ---------------------------
+//  Lookups
+// ---------------------------
+
+function formatRatio(ratio) {
+    return `1:${ratio}`;
+}
+
+/**
+ * Every transfer route a card can use, best value first:
+ * [{ program, label, type, ratio, transferTime, valuePerPoint }].
+ */
+function getTransferRoutes(card) {
+    let routes = routesByCard.get(card);
+    if (routes) return routes;
+
+    const currencyId = currencyByAlias.get((card.rewards_currency || "").trim().toLowerCase());
+    const transfers = Array.isArray(card.transfer_partners) && card.transfer_partners.length > 0;
+
+    routes = !currencyId || !transfers
+        ? []
+        : CURRENCIES[currencyId].partners
+            .map(edge => {
+                const program = PROGRAMS[edge.program];
+                return {
+                    program: edge.program,
+                    label: program.label,
+                    type: program.type,
+                    ratio: edge.ratio,
+                    transferTime: edge.transferTime,
+                    valuePerPoint: edge.ratio * program.valuePerMile
+                };
+            })
+            .sort((a, b) => b.valuePerPoint - a.valuePerPoint);
+
+    routesByCard.set(card, routes);
+    return routes;
+}
+
+/**
+ * Program ids a preference names ("United", "Hyatt", "British Airways Avios").
+ * "international" stands for every airline program.
+ */
+function findPrograms(preference, type) {
+    const text = typeof preference === "string" ? preference.trim().toLowerCase() : "";
+    if (!text) return [];
+    if (type === "airline" && text === "international") {
+        return Object.keys(PROGRAMS).filter(id => PROGRAMS[id].type === "airline");
+    }
+    return [...new Set(PROGRAM_PATTERNS.filter(p => p.type === type && p.pattern.test(text)).map(p => p.id))];
+}
+
+/**
+ * The best route to each airline / hotel the user prefers:
+ * [{ preference, type, route }] (route null when the card can't reach it).
+ */
+function getPreferredRoutes(card, answers) {
+    const routes = getTransferRoutes(card);
+    const preferences = [
+        ...(Array.isArray(answers.airline) ? answers.airline : []).map(preference => ({ preference, type: "airline" })),
+        ...(Array.isArray(answers.hotel) ? answers.hotel : []).map(preference => ({ preference, type: "hotel" }))
+    ].filter(p => p.preference !== "none");
+
+    return preferences.map(({ preference, type }) => {
+        const programs = findPrograms(preference, type);
+        return { preference, type, route: routes.find(r => programs.includes(r.program)) || null };
+    });
+}
+
+/**
+ * The most valuable route to any program the user prefers, or null.
+ */
+function findBestTransferRoute(card, answers) {
+    return getPreferredRoutes(card, answers)
+        .map(p => p.route)
+        .filter(Boolean)
+        .sort((a, b) => b.valuePerPoint - a.valuePerPoint)[0] || null;
+}
+
+module.exports = { getTransferRoutes, getPreferredRoutes, findBestTransferRoute, formatRatio };
@@ -0,0 +1,352 @@
+// walletOptimizer.js
+// Recommends 2- and 3-card combinations for REWRDS
+// Assigns each spend category to the best card(s) in the combo and pools points that share a currency.
+
+const {
+    isCardEligible,
+    getHeldCardIds,
+    currencyKey,
+    formatCents,
+    getCardPointValue,
+    getRewardTiersForCategory,
+    getMerchantShares,
+    estimateCategoryPoints,
+    buildSpendMatrix,
+    getRotatingBonus,
+    getRotatingUplift,
+    getBonusFeasibility,
+    estimateBenefitsValue
+} = require("./scoringEngine");
+const { evaluateApplication } = require("./issuerRules");
+
+// Cards considered for combinations; MAX_POOL keeps 3-card combos to C(20, 3) = 1,140
+const TOP_OVERALL = 10;
+const TOP_PER_CATEGORY = 3;
+const MAX_POOL = 20;
+const MAX_RESULTS = 5;
+
+// ---------------------------
+//  Utility Functions
+// ---------------------------
+
+/**
+ * Per-card figures that don't depend on which other cards are in the combo.
+ * shares[i] holds the tiers for each merchant share of spend row i
+ * (getMerchantShares), so merchant rewards and exclusions apply to just that share.
+ */
+function buildCandidate(card, answers, spendMatrix) {
+    const rewards = Array.isArray(card.rewards) ? card.rewards : [];
+
+    return {
+        card,
+        currency: currencyKey(card),
+        pointValue: getCardPointValue(card, answers).pointValue,
+        shares: spendMatrix.map(([label]) => getMerchantShares(answers, label).map(({ merchant, share }) => ({
+            share,
+            tiers: getRewardTiersForCategory(rewards, label, merchant)
+        }))),
+        points: spendMatrix.map(([label, amt]) => estimateCategoryPoints(rewards, label, amt, answers).points),
+        rotating: getRotatingBonus(card, answers, spendMatrix),
+        annualFee: card.annual_fee || 0,
+        firstYearFee: card.annual_fee_waived_first_year ? 0 : card.annual_fee || 0,
+        bonusValue: getBonusFeasibility(card, answers).value,
+        benefitsValue: estimateBenefitsValue(card, answers).value
+    };
+}
+
+function combinations(items, size, start = 0, prefix = [], out = []) {
+    if (prefix.length === size) {
+        out.push(prefix);
+        return out;
+    }
+    for (let i = start; i < items.length; i++) {
+        combinations(items, size, i + 1, [...prefix, items[i]], out);
+    }
+    return out;
+}
+
+/**
+ * Narrow the eligible cards down to the ones that can plausibly
+ * appear in a winning combination: strong all-rounders plus the
+ * category specialists for every category the user actually spends in,
+ * biggest categories first, up to MAX_POOL cards.
+ */
+function selectCandidatePool(candidates, spendMatrix) {
+    const standalone = candidates.map(c => {
+        const rewards = c.points.reduce((sum, points) => sum + points * c.pointValue, 0);
+        return { c, net: rewards + c.benefitsValue - c.annualFee };
+    });
+
+    const pool = new Set(
+        standalone
+            .sort((a, b) => b.net - a.net)
+            .slice(0, TOP_OVERALL)
+            .map(s => s.c)
+    );
+
+    spendMatrix
+        .map(([, amt], i) => ({ amt, i }))
+        .filter(row => row.amt > 0)
+        .sort((a, b) => b.amt - a.amt)
+        .forEach(({ i }) => {
+            [...candidates]
+                .sort((a, b) => b.points[i] * b.pointValue - a.points[i] * a.pointValue)
+                .slice(0, TOP_PER_CATEGORY)
+                .forEach(c => {
+                    if (pool.size < MAX_POOL) pool.add(c);
+                });
+        });
+
+    return [...pool];
+}
+
+// ---------------------------
+//  Combination Valuation
+// ---------------------------
+
+/**
+ * Value a set of cards used together: each category's spend goes to the card
+ * tiers that earn the most for it (so spend past one card's cap flows to the
+ * next best card), and cards in the same rewards_currency redeem at the best
+ * point value available among them.
+ */
+function valueCombination(combo, spendMatrix) {
+    // Pool points by currency at the best redemption value in the combo
+    const pooledValue = {};
+    combo.forEach(c => {
+        if (!c.currency) return;
+        pooledValue[c.currency] = Math.max(pooledValue[c.currency] || 0, c.pointValue);
+    });
+
+    const effectiveValue = c => (c.currency ? pooledValue[c.currency] : c.pointValue);
+
+    const assignments = [];
+    const valuePerDollar = {};
+    let yearlyRewards = 0;
+
+    spendMatrix.forEach(([label, amt], i) => {
+        if (!amt) return;
+
+        const perCard = new Map();
+        // A capped reward shares its cap across the merchant shares it applies to
+        const capUsed = new Map();
+
+        // Each merchant share fills the highest-value tiers across every card first
+        combo[0].shares[i].forEach(({ share }, j) => {
+            const segments = [];
+            combo.forEach(c => {
+                c.shares[i][j].tiers.forEach(tier => {
+                    segments.push({ c, tier, value: tier.rate * effectiveValue(c) });
+                });
+            });
+            segments.sort((a, b) => b.value - a.value);
+
+            let remaining = amt * share;
+
+            segments.forEach(({ c, tier, value }) => {
+                if (remaining <= 0) return;
+                // A card's tiers are sorted by rate, so its capped bonus tier is always filled first
+                const limit = tier.reward ? tier.limit - (capUsed.get(tier.reward) || 0) : tier.limit;
+                const spend = Math.min(remaining, limit);
+                if (spend <= 0) return;
+
+                const used = perCard.get(c) || { spend: 0, value: 0, rate: tier.rate };
+                used.spend += spend;
+                used.value += spend * value;
+                perCard.set(c, used);
+                remaining -= spend;
+                if (tier.reward) capUsed.set(tier.reward, (capUsed.get(tier.reward) || 0) + spend);
+            });
+        });
+
+        valuePerDollar[label] = [...perCard.values()].reduce((sum, u) => sum + u.value, 0) / amt;
+
+        perCard.forEach((used, c) => {
+            yearlyRewards += used.value;
+            assignments.push({
+                category: label,
+                cardId: c.card.id,
+                cardName: c.card.name,
+                rate: used.rate,
+                spend: Math.round(used.spend),
+                pointValue: effectiveValue(c),
+                yearlyValue: Math.round(used.value)
+            });
+        });
+    });
+
+    // Rotating quarterly categories only pay off over what the combo already earns there
+    const rotatingValue = {};
+    combo.forEach(c => {
+        const uplift = getRotatingUplift(c.rotating, effectiveValue(c), label => valuePerDollar[label] || 0).expected;
+        if (uplift > 0) {
+            rotatingValue[c.card.id] = uplift;
+            yearlyRewards += uplift;
+        }
+    });
+
+    const annualFees = combo.reduce((sum, c) => sum + c.annualFee, 0);
+    const firstYearFees = combo.reduce((sum, c) => sum + c.firstYearFee, 0);
+    const benefitsValue = combo.reduce((sum, c) => sum + c.benefitsValue, 0);
+    const bonusValue = combo.reduce((sum, c) => sum + c.bonusValue, 0);
+
+    return {
+        assignments,
+        pooledValue,
+        rotatingValue,
+        yearlyRewards,
+        benefitsValue,
+        annualFees,
+        bonusValue,
+        netYearly: yearlyRewards + benefitsValue - annualFees,
+        netFirstYear: yearlyRewards + benefitsValue + bonusValue - firstYearFees
+    };
+}
+
+function buildReasons(combo, valuation, baseline) {
+    const reasons = [];
+
+    combo.forEach(c => {
+        const used = valuation.assignments.filter(a => a.cardId === c.card.id);
+        if (used.length) {
+            const cats = used.map(a => {
+                const split = valuation.assignments.filter(o => o.category === a.category).length > 1;
+                return split
+                    ? `${a.category} (${a.rate}x on ~$${a.spend}/yr)`
+                    : `${a.category} (${a.rate}x)`;
+            }).join(", ");
+            reasons.push(`Use ${c.card.name} for ${cats}`);
+        }
+    });
+
+    combo.forEach(c => {
+        const uplift = valuation.rotatingValue[c.card.id];
+        if (uplift) {
+            reasons.push(`Activate ${c.card.name}'s rotating categories each quarter for ~$${Math.round(uplift)}/yr more`);
+        }
+    });
+
+    Object.entries(valuation.pooledValue).forEach(([currency, value]) => {
+        const members = combo.filter(c => c.currency === currency);
+        if (members.length < 2) return;
+
+        const boosted = members.filter(c => c.pointValue < value);
+        if (!boosted.length) return;
+
+        const anchor = members.find(c => c.pointValue === value);
+        reasons.push(
+            `${boosted.map(c => c.card.name).join(" and ")} points pool with ${anchor.card.name} at ~${formatCents(value)} each`
+        );
+    });
+
+    if (baseline && valuation.netYearly > baseline.netYearly) {
+        const gain = Math.round(valuation.netYearly - baseline.netYearly);
+        reasons.push(baseline.combo[0].held
+            ? `~$${gain}/yr more than your current cards`
+            : `~$${gain}/yr more than using ${baseline.combo[0].card.name} alone`);
+    }
+
+    reasons.push(
+        valuation.annualFees > 0
+            ? `Combined annual fees: $${valuation.annualFees}`
+            : "No annual fees across the combination"
+    );
+
+    return reasons;
+}
+
+function formatResult(combo, valuation, baseline) {
+    return {
+        size: combo.length,
+        cards: combo.map(c => ({
+            id: c.card.id,
+            name: c.card.name,
+            issuer: c.card.issuer,
+            image: c.card.image,
+            apply_link: c.card.apply_link,
+            annual_fee: c.annualFee,
+            rewards_currency: c.card.rewards_currency,
+            held: !!c.held,
+            categories: valuation.assignments
+                .filter(a => a.cardId === c.card.id)
+                .map(a => a.category)
+        })),
+        assignments: valuation.assignments,
+        yearlyRewards: Math.round(valuation.yearlyRewards),
+        benefitsValue: Math.round(valuation.benefitsValue),
+        annualFees: valuation.annualFees,
+        netYearly: Math.round(valuation.netYearly),
+        bonusValue: Math.round(valuation.bonusValue),
+        netFirstYear: Math.round(valuation.netFirstYear),
+        reasons: buildReasons(combo, valuation, baseline)
+    };
+}
+
+// ---------------------------
+//  MAIN OPTIMIZER
+// ---------------------------
+
+/**
+ * Rank 2- and 3-card wallets by combined yearly value after all annual fees.
+ * Pass sizes to restrict the search (e.g. [2] for pairs only).
+ *
+ * Cards the user already holds (answers.currentCards) are in every wallet,
+ * earning no sign-up bonus, and only the cards added to them are searched:
+ * enough to reach each size, and always at least one.
+ */
+function optimizeWallet(cards, answers, sizes = [2, 3]) {
+    const spendMatrix = buildSpendMatrix(answers);
+
+    const heldIds = getHeldCardIds(answers);
+    const held = (cards || [])
+        .filter(card => heldIds.includes(card.id))
+        .map(card => ({
+            ...buildCandidate(card, answers, spendMatrix),
+            firstYearFee: card.annual_fee || 0,
+            bonusValue: 0,
+            held: true
+        }));
+
+    const candidates = (cards || [])
+        .filter(card => !heldIds.includes(card.id))
+        .filter(card => isCardEligible(card, answers))
+        .filter(card => !(answers.businessCards === "no" && card.is_business))
+        // a wallet built on a card the user likely can't get isn't a recommendation
+        .filter(card => evaluateApplication(card, answers).band !== "very_low")
+        .map(card => buildCandidate(card, answers, spendMatrix));
+
+    const pool = selectCandidatePool(candidates, spendMatrix);
+
+    // The baseline every combination has to beat: the held cards, else the best single card
+    let baseline = held.length ? { combo: held, ...valueCombination(held, spendMatrix) } : null;
+    if (!baseline) {
+        pool.forEach(c => {
+            const valuation = valueCombination([c], spendMatrix);
+            if (!baseline || valuation.netYearly > baseline.netYearly) {
+                baseline = { combo: [c], ...valuation };
+            }
+        });
+    }
+
+    const additions = held.length ? [...new Set(sizes.map(size => Math.max(1, size - held.length)))] : sizes;
+    const results = [];
+
+    additions.forEach(count => {
+        if (pool.length < count) return;
+        combinations(pool, count).forEach(added => {
+            const combo = [...held, ...added];
+            const valuation = valueCombination(combo, spendMatrix);
+            results.push({ combo, valuation });
+        });
+    });
+
+    return results
+        .sort((a, b) =>
+            b.valuation.netYearly - a.valuation.netYearly ||
+            b.valuation.netFirstYear - a.valuation.netFirstYear
+        )
+        .slice(0, MAX_RESULTS)
+        .map(({ combo, valuation }) => formatResult(combo, valuation, baseline));
+}
+
+module.exports = { optimizeWallet };
@@ -0,0 +1,119 @@
+// weightProfiles.js
+// Named scoring weight profiles for REWRDS ranking experiments.
+// Profiles come from weightProfiles.json, overridden by active rows in scoring_weight_profiles.
+
+const crypto = require("crypto");
+const fileProfiles = require("./weightProfiles.json");
+
+// How long database profiles are reused before they're re-read
+const CACHE_TTL_MS = 60 * 1000;
+
+let cache = null;
+let cacheLoadedAt = 0;
+
+// ---------------------------
+//  Utility Functions
+// ---------------------------
+
+function isPlainObject(value) {
+    return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+/**
+ * Overlay a (possibly partial) profile on the baseline weights so a variant
+ * only has to list the weights it changes.
+ */
+function mergeWeights(base, overrides) {
+    const merged = { ...base };
+    Object.entries(overrides || {}).forEach(([key, value]) => {
+        merged[key] = isPlainObject(value) && isPlainObject(base[key])
+            ? mergeWeights(base[key], value)
+            : value;
+    });
+    return merged;
+}
+
+function buildProfiles(rawProfiles) {
+    const baseline = fileProfiles.profiles[fileProfiles.default].weights;
+    const profiles = {};
+
+    Object.entries(rawProfiles).forEach(([name, profile]) => {
+        profiles[name] = {
+            name,
+            traffic: typeof profile.traffic === "number" ? profile.traffic : 0,
+            weights: mergeWeights(baseline, profile.weights)
+        };
+    });
+
+    return profiles;
+}
+
+/**
+ * Stable 0-1 bucket for an assignment id, so the same session or user
+ * always lands in the same variant.
+ */
+function bucketFor(assignmentId) {
+    const hash = crypto.createHash("sha1").update(String(assignmentId)).digest();
+    return hash.readUInt32BE(0) / 0x100000000;
+}
+
+// ---------------------------
+//  Loading
+// ---------------------------
+
+/**
+ * All weight profiles keyed by name. Rows in scoring_weight_profiles
+ * (name, weights, traffic, active) replace file profiles of the same name;
+ * if the table can't be read the file profiles are used on their own.
+ */
+async function loadWeightProfiles(pool) {
+    if (cache && Date.now() - cacheLoadedAt < CACHE_TTL_MS) return cache;
+
+    const raw = { ...fileProfiles.profiles };
+
+    try {
+        const { rows } = await pool.query(
+            "SELECT name, weights, traffic FROM scoring_weight_profiles WHERE active = TRUE"
+        );
+        rows.forEach(row => {
+            raw[row.name] = { weights: row.weights, traffic: Number(row.traffic) || 0 };
+        });
+    } catch (err) {
+        console.error("WEIGHT PROFILE LOAD ERROR:", err.message);
+    }
+
+    cache = buildProfiles(raw);
+    cacheLoadedAt = Date.now();
+    return cache;
+}
+
+/**
+ * Pick the profile for a request:
+ *   1. an explicitly requested profile name, if it exists
+ *   2. a deterministic traffic-weighted pick from the assignment id (session or user id)
+ *   3. the default profile
+ */
+function resolveWeightProfile(profiles, { profile, assignmentId } = {}) {
+    if (profile && profiles[profile]) return profiles[profile];
+
+    const fallback = profiles[fileProfiles.default];
+
+    if (assignmentId === undefined || assignmentId === null || assignmentId === "") {
+        return fallback;
+    }
+
+    const weighted = Object.values(profiles)
+        .filter(p => p.traffic > 0)
+        .sort((a, b) => a.name.localeCompare(b.name));
+    const totalTraffic = weighted.reduce((sum, p) => sum + p.traffic, 0);
+    if (!totalTraffic) return fallback;
+
+    let point = bucketFor(assignmentId) * totalTraffic;
+    for (const p of weighted) {
+        if (point < p.traffic) return p;
+        point -= p.traffic;
+    }
+    return weighted[weighted.length - 1];
+}
+
+module.exports = { loadWeightProfiles, resolveWeightProfile };
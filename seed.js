@@ -1,155 +1,314 @@
-// seed.js
+// seed.js — Import card JSON files into the cards table
+//
+// Usage: node seed.js [--source <dir>] [--dry-run] [--retire-missing]
+//
+//   --source <dir>     card files, one JSON file per card in issuer folders
+//                      (default: CARDS_DIR or ../credit-card-database/cards)
+//   --dry-run          validate and print what would change, write nothing
+//   --retire-missing   set availability_status to "retired" on active cards
+//                      that are no longer in the source
+//
+// Every file is validated before anything is written; one bad file fails the
+// whole import and lists every failing file and field. Exits 1 on any failure.
 
-import fs from "fs";
-import path from "path";
-import pkg from "pg";
-import dotenv from "dotenv";
-dotenv.config();
+const fs = require("fs");
+const path = require("path");
+const pool = require("./db");
+const { CARD_COLUMNS } = require("./catalog/cardSchema");
+const { validateCard, toColumnValue, changedFields } = require("./catalog/cardValidation");
+const { recordCardChange } = require("./catalog/cardAudit");
+const { findUnmappedCategories } = require("./scoring/categoryTaxonomy");
+const { withAprDetails } = require("./catalog/aprParser");
 
-const { Pool } = pkg;
-const pool = new Pool({
-    connectionString: process.env.DATABASE_URL,
-    ssl: { rejectUnauthorized: false },
-});
+const DEFAULT_SOURCE = "../credit-card-database/cards";
+const RETIRED_STATUS = "retired";
+const AUDIT_ACTOR = "seed";
 
-const cardsDir = path.resolve("../credit-card-database/cards");
+// ---------------------------
+//  Utility Functions
+// ---------------------------
+
+function parseArgs(argv) {
+    const options = {
+        source: process.env.CARDS_DIR || DEFAULT_SOURCE,
+        dryRun: false,
+        retireMissing: false,
+        help: false
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === "--dry-run") options.dryRun = true;
+        else if (arg === "--retire-missing") options.retireMissing = true;
+        else if (arg === "--help" || arg === "-h") options.help = true;
+        else if (arg === "--source") options.source = argv[++i];
+        else if (arg.startsWith("--source=")) options.source = arg.slice("--source=".length);
+        else throw new Error(`Unknown option: ${arg}`);
+    }
+
+    if (!options.source) throw new Error("--source needs a directory");
+    return options;
+}
+
+function formatValue(value) {
+    if (value === undefined || value === null) return "null";
+    const text = value instanceof Date ? value.toISOString() : JSON.stringify(value);
+    return text.length > 80 ? `${text.slice(0, 77)}...` : text;
+}
+
+// ---------------------------
+//  Loading + Validation
+// ---------------------------
+
+/**
+ * Read every .json file under the source (issuer folders, one card per file).
+ * Returns { cards: [{ file, card }], errors: [{ file, field?, message }], warnings }.
+ * Warnings are reward categories that don't map to the spend taxonomy
+ * (scoring/categoryTaxonomy.json); they're imported but only ever earn the
+ * card's catch-all rate.
+ */
+function loadCards(sourceDir) {
+    const cards = [];
+    const errors = [];
+    const warnings = [];
+
+    if (!fs.existsSync(sourceDir) || !fs.statSync(sourceDir).isDirectory()) {
+        errors.push({ file: sourceDir, message: "Source directory not found" });
+        return { cards, errors, warnings };
+    }
+
+    const files = [];
+    const walk = dir => {
+        fs.readdirSync(dir).sort().forEach(entry => {
+            const full = path.join(dir, entry);
+            if (fs.statSync(full).isDirectory()) walk(full);
+            else if (entry.endsWith(".json")) files.push(full);
+        });
+    };
+    walk(sourceDir);
+
+    const seenIds = {};
+
+    files.forEach(full => {
+        const file = path.relative(sourceDir, full);
+
+        let raw;
+        try {
+            raw = JSON.parse(fs.readFileSync(full, "utf8"));
+        } catch (err) {
+            errors.push({ file, message: `Invalid JSON: ${err.message}` });
+            return;
+        }
+
+        const { value: validated, errors: fieldErrors } = validateCard(raw);
+        if (fieldErrors.length) {
+            fieldErrors.forEach(e => errors.push({ file, field: e.field, message: e.message }));
+            return;
+        }
+        const value = withAprDetails(validated);
+
+        if (seenIds[value.id]) {
+            errors.push({ file, field: "id", message: `Duplicate id "${value.id}" (also in ${seenIds[value.id]})` });
+            return;
+        }
+        seenIds[value.id] = file;
+
+        findUnmappedCategories(value).forEach(({ field, category }) => {
+            warnings.push({ file, field, message: `${JSON.stringify(category)} doesn't map to a spend category` });
+        });
+
+        cards.push({ file, card: value });
+    });
+
+    return { cards, errors, warnings };
+}
+
+// ---------------------------
+//  Diffing
+// ---------------------------
+
+/**
+ * Compare source cards with the cards table.
+ * Returns { added, changed: [{ card, current, fields }], unchanged, removed, retire }
+ * where removed is every DB card missing from the source and retire the
+ * active ones among them.
+ */
+function diffCatalog(sourceCards, dbRows) {
+    const dbById = new Map(dbRows.map(row => [row.id, row]));
+    const sourceIds = new Set(sourceCards.map(card => card.id));
+
+    const added = [];
+    const changed = [];
+    let unchanged = 0;
+
+    sourceCards.forEach(card => {
+        const current = dbById.get(card.id);
+        if (!current) {
+            added.push(card);
+            return;
+        }
+        const fields = changedFields(current, card);
+        if (fields.length) changed.push({ card, current, fields });
+        else unchanged++;
+    });
+
+    const removed = dbRows.filter(row => !sourceIds.has(row.id));
+    const retire = removed.filter(row => (row.availability_status || "active") === "active");
+
+    return { added, changed, unchanged, removed, retire };
+}
+
+function printDiff(diff, options) {
+    diff.added.forEach(card => console.log(`+ ${card.id} (${card.name})`));
+
+    diff.changed.forEach(({ card, current, fields }) => {
+        console.log(`~ ${card.id}`);
+        fields.forEach(f => console.log(`    ${f}: ${formatValue(current[f])} → ${formatValue(card[f])}`));
+    });
+
+    diff.removed.forEach(row => {
+        let note = `not in source (already ${row.availability_status})`;
+        if (diff.retire.includes(row)) {
+            note = options.retireMissing
+                ? `availability_status: ${formatValue(row.availability_status)} → "${RETIRED_STATUS}"`
+                : "not in source (use --retire-missing to retire)";
+        }
+        console.log(`- ${row.id} ${note}`);
+    });
+
+    console.log(
+        `\n${diff.added.length} added, ${diff.changed.length} changed, ${diff.unchanged} unchanged, ` +
+        `${diff.removed.length} missing from source` +
+        (options.retireMissing ? ` (${diff.retire.length} to retire)` : "")
+    );
+}
+
+// ---------------------------
+//  Writing
+// ---------------------------
+
+const UPSERT_SQL = `
+    INSERT INTO cards (${CARD_COLUMNS.join(", ")})
+    VALUES (${CARD_COLUMNS.map((_, i) => `$${i + 1}`).join(", ")})
+    ON CONFLICT (id) DO UPDATE SET
+        ${CARD_COLUMNS.filter(c => c !== "id").map(c => `${c} = EXCLUDED.${c}`).join(",\n        ")}
+    RETURNING *`;
+
+async function applyDiff(client, diff, options) {
+    for (const card of diff.added) {
+        const { rows } = await client.query(UPSERT_SQL, CARD_COLUMNS.map(c => toColumnValue(c, card[c])));
+        await recordCardChange(client, {
+            cardId: card.id,
+            action: "create",
+            actor: AUDIT_ACTOR,
+            fields: CARD_COLUMNS,
+            before: null,
+            after: rows[0]
+        });
+        console.log(`✅ ${card.id} inserted`);
+    }
+
+    for (const { card, current, fields } of diff.changed) {
+        const { rows } = await client.query(UPSERT_SQL, CARD_COLUMNS.map(c => toColumnValue(c, card[c])));
+        await recordCardChange(client, { cardId: card.id, action: "import", actor: AUDIT_ACTOR, fields, before: current, after: rows[0] });
+        console.log(`✅ ${card.id} updated (${fields.join(", ")})`);
+    }
+
+    if (!options.retireMissing) return;
+
+    for (const row of diff.retire) {
+        const { rows } = await client.query(
+            "UPDATE cards SET availability_status = $2 WHERE id = $1 RETURNING *",
+            [row.id, RETIRED_STATUS]
+        );
+        await recordCardChange(client, {
+            cardId: row.id,
+            action: "retire",
+            actor: AUDIT_ACTOR,
+            fields: ["availability_status"],
+            before: row,
+            after: rows[0]
+        });
+        console.log(`🗄️  ${row.id} retired`);
+    }
+}
+
+// ---------------------------
+//  MAIN
+// ---------------------------
+
+async function seed(options) {
+    const sourceDir = path.resolve(options.source);
+    console.log(`🌱 Importing cards from ${sourceDir}${options.dryRun ? " (dry run)" : ""}…`);
+
+    const { cards, errors, warnings } = loadCards(sourceDir);
+
+    if (errors.length) {
+        const files = new Set(errors.map(e => e.file));
+        console.error(`❌ ${errors.length} problem(s) in ${files.size} file(s); nothing was imported:`);
+        errors.forEach(e => console.error(`   ${e.file}${e.field ? ` → ${e.field}` : ""}: ${e.message}`));
+        return false;
+    }
+
+    if (warnings.length) {
+        console.warn(`⚠️  ${warnings.length} unmapped reward categor${warnings.length === 1 ? "y" : "ies"} (add a synonym or category_id):`);
+        warnings.forEach(w => console.warn(`   ${w.file} → ${w.field}: ${w.message}`));
+    }
 
-async function seed() {
-    console.log("🌱 Seeding unified schema…");
     const client = await pool.connect();
 
     try {
         await client.query("BEGIN");
 
-        const issuers = fs.readdirSync(cardsDir);
-
-        for (const issuer of issuers) {
-            const issuerPath = path.join(cardsDir, issuer);
-            if (!fs.statSync(issuerPath).isDirectory()) continue;
-
-            const files = fs
-                .readdirSync(issuerPath)
-                .filter((f) => f.endsWith(".json"));
-
-            for (const file of files) {
-                const card = JSON.parse(
-                    fs.readFileSync(path.join(issuerPath, file), "utf8")
-                );
-
-                // 🔥 Insert aligned EXACTLY with DB schema
-                await client.query(
-                    `
-          INSERT INTO cards (
-            id, name, issuer, network, card_type, image, apply_link,
-            rates_and_fees_link, annual_fee, foreign_fees, min_credit_score,
-            ongoing_apr, intro_apr, reward_program, rewards_currency,
-            point_value_baseline, point_value_max, rewards, recommended_goals,
-            sign_up_bonus, credits_and_benefits, transfer_partners, eligibility,
-            is_business, available_regions, pairing_synergy, card_tier,
-            availability_status, visibility, data_source, last_updated,
-            affiliate_metadata, quiz_metadata
-          )
-          VALUES (
-            $1, $2, $3, $4, $5, $6, $7,
-            $8, $9, $10, $11,
-            $12, $13, $14, $15,
-            $16, $17, $18, $19,
-            $20, $21, $22, $23,
-            $24, $25, $26, $27,
-            $28, $29, $30, $31,
-            $32, $33
-          )
-          ON CONFLICT (id) DO UPDATE SET
-            name = EXCLUDED.name,
-            issuer = EXCLUDED.issuer,
-            network = EXCLUDED.network,
-            card_type = EXCLUDED.card_type,
-            image = EXCLUDED.image,
-            apply_link = EXCLUDED.apply_link,
-            rates_and_fees_link = EXCLUDED.rates_and_fees_link,
-            annual_fee = EXCLUDED.annual_fee,
-            foreign_fees = EXCLUDED.foreign_fees,
-            min_credit_score = EXCLUDED.min_credit_score,
-            ongoing_apr = EXCLUDED.ongoing_apr,
-            intro_apr = EXCLUDED.intro_apr,
-            reward_program = EXCLUDED.reward_program,
-            rewards_currency = EXCLUDED.rewards_currency,
-            point_value_baseline = EXCLUDED.point_value_baseline,
-            point_value_max = EXCLUDED.point_value_max,
-            rewards = EXCLUDED.rewards,
-            recommended_goals = EXCLUDED.recommended_goals,
-            sign_up_bonus = EXCLUDED.sign_up_bonus,
-            credits_and_benefits = EXCLUDED.credits_and_benefits,
-            transfer_partners = EXCLUDED.transfer_partners,
-            eligibility = EXCLUDED.eligibility,
-            is_business = EXCLUDED.is_business,
-            available_regions = EXCLUDED.available_regions,
-            pairing_synergy = EXCLUDED.pairing_synergy,
-            card_tier = EXCLUDED.card_tier,
-            availability_status = EXCLUDED.availability_status,
-            visibility = EXCLUDED.visibility,
-            data_source = EXCLUDED.data_source,
-            last_updated = EXCLUDED.last_updated,
-            affiliate_metadata = EXCLUDED.affiliate_metadata,
-            quiz_metadata = EXCLUDED.quiz_metadata;
-        `,
-                    [
-                        card.id,
-                        card.name,
-                        card.issuer,
-                        card.network,
-                        card.card_type,
-                        card.image,
-                        card.apply_link,
-
-                        card.rates_and_fees_link,
-                        card.annual_fee,
-                        card.foreign_fees,
-                        card.min_credit_score,
-
-                        card.ongoing_apr,
-                        card.intro_apr,
-                        card.reward_program,
-                        card.rewards_currency,
-
-                        card.point_value_baseline,
-                        card.point_value_max,
-                        JSON.stringify(card.rewards || []),
-                        card.recommended_goals || [],
-
-                        JSON.stringify(card.sign_up_bonus || null),
-                        card.credits_and_benefits || [],
-                        card.transfer_partners || [],
-                        card.eligibility || null,
-
-                        card.is_business || false,
-                        card.available_regions || [],
-                        card.pairing_synergy || [],
-                        card.card_tier,
-
-                        card.availability_status || "active",
-                        card.visibility ?? true,
-                        card.data_source || "manual",
-                        card.last_updated || null,
-
-                        JSON.stringify(card.affiliate_metadata || {}),
-                        JSON.stringify(card.quiz_metadata || {})
-                    ]
-                );
-
-                console.log(`✅ ${card.id} inserted`);
-            }
+        const { rows } = await client.query("SELECT * FROM cards ORDER BY id ASC FOR UPDATE");
+        const diff = diffCatalog(cards.map(c => c.card), rows);
+
+        printDiff(diff, options);
+
+        if (options.dryRun) {
+            await client.query("ROLLBACK");
+            console.log("🌱 Dry run; nothing written.");
+            return true;
         }
 
+        await applyDiff(client, diff, options);
+
         await client.query("COMMIT");
         console.log("🌱 Done seeding.");
+        return true;
     } catch (err) {
         await client.query("ROLLBACK");
-        console.error("❌ Seed failed:", err.message);
+        console.error("❌ Seed failed:", err);
+        return false;
     } finally {
         client.release();
+    }
+}
+
+async function main() {
+    let options;
+    try {
+        options = parseArgs(process.argv.slice(2));
+    } catch (err) {
+        console.error(`❌ ${err.message}`);
+        process.exitCode = 1;
+        return;
+    }
+
+    if (options.help) {
+        console.log("Usage: node seed.js [--source <dir>] [--dry-run] [--retire-missing]");
+        return;
+    }
+
+    try {
+        const ok = await seed(options);
+        if (!ok) process.exitCode = 1;
+    } catch (err) {
+        console.error("❌ Seed failed:", err);
+        process.exitCode = 1;
+    } finally {
         await pool.end();
     }
 }
 
-seed();
+main();
@@ -0,0 +1,183 @@
+// spendProfile.js
+// Turn parsed transactions (transactionParser.js) into quiz answers for
+// POST /score: annual spend per spend field and the merchants the user
+// actually shops at for the merchant answers (grocery, gas, onlineShopping).
+
+const { categorizeTransaction } = require("./transactionCategories");
+const { SPEND_CATEGORIES, getSpendCategoryFor } = require("../scoring/categoryTaxonomy");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Fewer days than this and the annual figures are a rough extrapolation
+const MIN_DAYS_FOR_ANNUAL = 60;
+
+// A merchant is picked when it takes at least this share of an answer's spend
+const MIN_MERCHANT_SHARE = 0.2;
+const MAX_MERCHANT_PICKS = 3;
+
+const MAX_LISTED = 20;
+
+// ---------------------------
+//  Utility Functions
+// ---------------------------
+
+function toDay(date) {
+    return date.toISOString().slice(0, 10);
+}
+
+/**
+ * { from, to, days, factor }: the span the transactions cover and the
+ * multiplier that turns spend over it into annual spend.
+ */
+function getPeriod(transactions) {
+    const times = transactions.map(t => t.date.getTime());
+    const from = times.reduce((min, t) => Math.min(min, t), Infinity);
+    const to = times.reduce((max, t) => Math.max(max, t), -Infinity);
+    const days = Math.round((to - from) / DAY_MS) + 1;
+
+    return { from: toDay(new Date(from)), to: toDay(new Date(to)), days, factor: 365 / days };
+}
+
+/**
+ * Merchants to list for one merchant answer: the biggest ones holding at least
+ * MIN_MERCHANT_SHARE of its spend, plus "Other" when the rest is that big too.
+ */
+function pickMerchants(totals, answerSpend) {
+    if (answerSpend <= 0) return [];
+
+    const picks = Object.entries(totals)
+        .map(([merchant, spend]) => ({ merchant, share: spend / answerSpend }))
+        .filter(m => m.share >= MIN_MERCHANT_SHARE)
+        .sort((a, b) => b.share - a.share)
+        .slice(0, MAX_MERCHANT_PICKS);
+    if (!picks.length) return [];
+
+    const rest = 1 - picks.reduce((sum, m) => sum + m.share, 0);
+    return rest >= MIN_MERCHANT_SHARE ? [...picks.map(m => m.merchant), "Other"] : picks.map(m => m.merchant);
+}
+
+// ---------------------------
+//  MAIN PROFILE
+// ---------------------------
+
+/**
+ * Returns {
+ *   answers,      spend fields (annual dollars) and merchant answers, ready for POST /score
+ *   period,       { from, to, days } covered by the transactions
+ *   categories,   [{ id, label, field, spend, annual, transactions }] per spend row
+ *   merchants,    [{ answer, merchant, annual, share }] for merchant-rule matches
+ *   summary,      counts of what was read, counted, refunded and left out
+ *   uncategorized [{ description, spend }] largest purchases that fell to Other
+ *   excluded,     [{ line, description, reason }] rows that aren't spend
+ *   warnings
+ * }
+ * Each row's spend goes into its first field (EV charging counts as Gas);
+ * refunds come off their category, and credits nothing recognizes are treated
+ * as payments and left out.
+ */
+function buildSpendProfile(transactions) {
+    const warnings = [];
+    const period = getPeriod(transactions);
+    if (period.days < MIN_DAYS_FOR_ANNUAL) {
+        warnings.push(`Only ${period.days} days of transactions; annual spend is extrapolated from them`);
+    }
+
+    const rows = new Map(SPEND_CATEGORIES.map(c => [c.id, { spend: 0, transactions: 0 }]));
+    const merchantSpend = {};
+    const answerSpend = {};
+    const uncategorized = {};
+    const excluded = [];
+    const summary = { transactions: transactions.length, counted: 0, refunds: 0, excluded: 0, bySource: {} };
+
+    transactions.forEach(transaction => {
+        const result = categorizeTransaction(transaction);
+        const { amount } = transaction;
+
+        // Credits only count as refunds when something recognized the merchant
+        const unrecognizedCredit = amount < 0 && result.source === "default";
+        if (result.nonSpend || unrecognizedCredit || amount === 0) {
+            summary.excluded++;
+            excluded.push({
+                line: transaction.line,
+                description: transaction.description,
+                reason: result.nonSpend || (amount === 0 ? "zero amount" : "credit without a recognized merchant")
+            });
+            return;
+        }
+
+        const spendCategory = getSpendCategoryFor(result.category);
+        const row = rows.get(spendCategory.id);
+        row.spend += amount;
+        row.transactions++;
+
+        summary.counted++;
+        if (amount < 0) summary.refunds++;
+        summary.bySource[result.source] = (summary.bySource[result.source] || 0) + 1;
+
+        // Merchants only count toward the answer of the row their spend landed in,
+        // so Costco spend under Wholesale Clubs never shows up in answers.grocery
+        const answer = spendCategory.merchantAnswer;
+        if (answer) {
+            answerSpend[answer] = (answerSpend[answer] || 0) + amount;
+            if (result.merchant) {
+                merchantSpend[answer] = merchantSpend[answer] || {};
+                merchantSpend[answer][result.merchant] = (merchantSpend[answer][result.merchant] || 0) + amount;
+            }
+        }
+
+        if (result.source === "default" && amount > 0) {
+            const key = transaction.description || "(no description)";
+            uncategorized[key] = (uncategorized[key] || 0) + amount;
+        }
+    });
+
+    const answers = {};
+    const categories = SPEND_CATEGORIES.map(c => {
+        const row = rows.get(c.id);
+        const annual = Math.round(Math.max(0, row.spend) * period.factor);
+        answers[c.fields[0]] = annual;
+        return {
+            id: c.id,
+            label: c.label,
+            field: c.fields[0],
+            spend: Math.round(row.spend),
+            annual,
+            transactions: row.transactions
+        };
+    });
+
+    const merchants = [];
+    Object.entries(merchantSpend).forEach(([answer, totals]) => {
+        const total = Math.max(0, answerSpend[answer]);
+        const picks = pickMerchants(totals, total);
+        if (picks.length) answers[answer] = picks;
+
+        Object.entries(totals).forEach(([merchant, spend]) => {
+            merchants.push({
+                answer,
+                merchant,
+                annual: Math.round(Math.max(0, spend) * period.factor),
+                share: total > 0 ? Math.round((Math.max(0, spend) / total) * 100) / 100 : 0
+            });
+        });
+    });
+    merchants.sort((a, b) => b.annual - a.annual);
+
+    if (!summary.counted) warnings.push("None of the transactions looked like purchases");
+
+    return {
+        answers,
+        period: { from: period.from, to: period.to, days: period.days },
+        categories,
+        merchants,
+        summary,
+        uncategorized: Object.entries(uncategorized)
+            .map(([description, spend]) => ({ description, spend: Math.round(spend) }))
+            .sort((a, b) => b.spend - a.spend)
+            .slice(0, MAX_LISTED),
+        excluded: excluded.slice(0, MAX_LISTED),
+        warnings
+    };
+}
+
+module.exports = { buildSpendProfile };
@@ -0,0 +1,104 @@
+// transactionCategories.js
+// Sort imported transactions into the spend taxonomy (scoring/categoryTaxonomy.js).
+//
+// A transaction's category comes from, in order:
+//   1. its MCC (mccCategories.json); cash-like MCCs mark it as not spend
+//   2. merchant-name rules on its description (merchantRules.json)
+//   3. the bank's own category text, through the taxonomy's synonyms
+// and is Other when none of them apply. A matching merchant rule also names the
+// merchant even when the MCC decided the category.
+
+const { ranges: MCC_RANGES, codes: MCC_CODES, excluded: MCC_EXCLUDED } = require("./mccCategories.json");
+const { rules: MERCHANT_RULES } = require("./merchantRules.json");
+const { isCategoryId, resolveRewardCategory } = require("../scoring/categoryTaxonomy");
+
+// Descriptions of card payments, transfers and bank charges, when nothing else matched
+const NON_SPEND_PATTERN = /\b(payment|autopay|auto pay|thank you|transfer|xfer|zelle|venmo|deposit|interest|late fee|annual fee|cash advance|atm)\b/;
+
+// ---------------------------
+//  Loading
+// ---------------------------
+
+// Fail at startup on a rule that points outside the taxonomy
+[
+    ...MCC_RANGES.map(r => ["mccCategories.json ranges", r.category]),
+    ...Object.entries(MCC_CODES).map(([code, id]) => [`mccCategories.json ${code}`, id]),
+    ...MERCHANT_RULES.map(r => [`merchantRules.json "${r.match[0]}"`, r.category])
+].forEach(([where, id]) => {
+    if (!isCategoryId(id)) throw new Error(`transactionCategories: ${where} has unknown category "${id}"`);
+});
+
+// "AMZN Mktp US*2K4", "Trader Joe's #552" → "amzn mktp us 2k4", "trader joe s 552"
+function normalizeDescription(text) {
+    return String(text || "").toLowerCase().replace(/[^a-z0-9]+/g, " ").trim();
+}
+
+// [{ rule, pattern }] matching a rule's text as whole words, longest first
+const RULE_PATTERNS = MERCHANT_RULES
+    .flatMap(rule => rule.match.map(text => ({ rule, text: normalizeDescription(text) })))
+    .sort((a, b) => b.text.length - a.text.length)
+    .map(({ rule, text }) => ({ rule, pattern: new RegExp(`(?<![a-z0-9])${text}(?![a-z0-9])`) }));
+
+// ---------------------------
+//  Lookups
+// ---------------------------
+
+/**
+ * { category } or { excluded } for a 4-digit MCC, else null.
+ */
+function lookupMcc(mcc) {
+    const code = String(mcc || "").trim();
+    if (!/^\d{4}$/.test(code)) return null;
+
+    if (MCC_EXCLUDED[code]) return { excluded: MCC_EXCLUDED[code] };
+    if (MCC_CODES[code]) return { category: MCC_CODES[code] };
+
+    const number = Number(code);
+    const range = MCC_RANGES.find(r => number >= r.from && number <= r.to);
+    return range ? { category: range.category } : null;
+}
+
+function findMerchantRule(description) {
+    const text = normalizeDescription(description);
+    const match = text ? RULE_PATTERNS.find(({ pattern }) => pattern.test(text)) : null;
+    return match ? match.rule : null;
+}
+
+// ---------------------------
+//  MAIN CATEGORIZER
+// ---------------------------
+
+/**
+ * Returns { category, source, merchant, nonSpend } where source is
+ * "mcc", "merchant", "bank_category" or "default", merchant comes from a
+ * matching merchant rule (null otherwise), and nonSpend says why the
+ * transaction isn't spend at all (null when it is).
+ */
+function categorizeTransaction(transaction) {
+    const rule = findMerchantRule(transaction.description);
+    const named = { merchant: rule && rule.merchant ? rule.merchant : null };
+
+    if (transaction.nonSpend) {
+        return { category: null, source: "default", ...named, nonSpend: transaction.nonSpend };
+    }
+
+    const mcc = lookupMcc(transaction.mcc);
+    if (mcc && mcc.excluded) {
+        return { category: null, source: "mcc", ...named, nonSpend: `${mcc.excluded} (MCC ${transaction.mcc})` };
+    }
+    if (mcc) return { category: mcc.category, source: "mcc", ...named, nonSpend: null };
+
+    if (rule) return { category: rule.category, source: "merchant", ...named, nonSpend: null };
+
+    const text = `${normalizeDescription(transaction.description)} ${normalizeDescription(transaction.category)}`;
+    if (NON_SPEND_PATTERN.test(text)) {
+        return { category: null, source: "default", ...named, nonSpend: "payment or transfer" };
+    }
+
+    const bankCategory = transaction.category ? resolveRewardCategory({ category: transaction.category }) : null;
+    if (bankCategory) return { category: bankCategory, source: "bank_category", ...named, nonSpend: null };
+
+    return { category: "other", source: "default", ...named, nonSpend: null };
+}
+
+module.exports = { categorizeTransaction, lookupMcc, findMerchantRule };
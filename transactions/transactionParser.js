@@ -0,0 +1,404 @@
+// transactionParser.js
+// Read bank / card exports (CSV, OFX/QFX or a JSON transaction list) into
+//
+//   { line, date, amount, description, mcc, category, nonSpend }
+//
+// where amount is positive for money spent and negative for refunds and other
+// credits, date is a UTC Date, and nonSpend says why a row is never spend
+// (cash, transfers, interest) when the export marks it. Everything is parsed
+// in-process; nothing is sent anywhere.
+
+const FORMATS = ["csv", "ofx", "qfx", "json"];
+
+// Header names for each column role, most specific first
+const CSV_COLUMNS = {
+    date: ["transaction date", "trans date", "date", "posted date", "post date", "posting date"],
+    description: ["description", "merchant name", "merchant", "payee", "name", "original description", "details", "memo"],
+    amount: ["amount", "transaction amount", "amount usd"],
+    debit: ["debit", "debits", "debit amount", "withdrawal", "withdrawals", "charges"],
+    credit: ["credit", "credits", "credit amount", "deposit", "deposits", "payments"],
+    mcc: ["mcc", "merchant category code", "mcc code", "category code", "sic"],
+    category: ["category", "transaction category", "merchant category"],
+    type: ["type", "transaction type"]
+};
+
+// Keys accepted on each JSON transaction, per role
+const JSON_KEYS = {
+    date: ["date", "transactionDate", "transaction_date", "postedDate", "posted_date"],
+    description: ["description", "merchant", "merchantName", "merchant_name", "name", "payee", "memo"],
+    amount: ["amount"],
+    mcc: ["mcc", "merchantCategoryCode", "merchant_category_code"],
+    category: ["category"],
+    type: ["type"]
+};
+
+// Transaction type words, for exports that give direction in a column
+const SPEND_TYPES = ["sale", "purchase", "debit", "charge", "pos"];
+const CREDIT_TYPES = ["return", "refund", "credit", "payment", "adjustment"];
+
+// OFX TRNTYPEs that are never card spend
+const OFX_NON_SPEND = {
+    ATM: "cash withdrawal",
+    CASH: "cash withdrawal",
+    XFER: "transfer",
+    INT: "interest",
+    DIV: "dividend",
+    FEE: "fee",
+    SRVCHG: "fee",
+    DEP: "deposit",
+    DIRECTDEP: "deposit"
+};
+
+// ---------------------------
+//  Utility Functions
+// ---------------------------
+
+function headerKey(text) {
+    return String(text || "").toLowerCase().replace(/[^a-z0-9]+/g, " ").trim();
+}
+
+/**
+ * "2024-03-05", "20240305120000.000[-5:EST]", "03/05/2024" or "3/5/24" → UTC Date, else null.
+ */
+function parseDate(value) {
+    const text = String(value || "").trim();
+    let y, m, d;
+
+    let match = text.match(/^(\d{4})-?(\d{2})-?(\d{2})/);
+    if (match) {
+        [, y, m, d] = match.map(Number);
+    } else if ((match = text.match(/^(\d{1,2})\/(\d{1,2})\/(\d{2}|\d{4})\b/))) {
+        [, m, d, y] = match.map(Number);
+        if (y < 100) y += 2000;
+    } else {
+        return null;
+    }
+
+    const date = new Date(Date.UTC(y, m - 1, d));
+    return date.getUTCMonth() === m - 1 && date.getUTCDate() === d ? date : null;
+}
+
+/**
+ * "-$1,234.56", "(12.34)", "12.34 CR", "-1.234,56" or a number → signed number, else null.
+ */
+function parseAmount(value) {
+    if (typeof value === "number") return Number.isFinite(value) ? value : null;
+
+    let text = String(value || "").trim();
+    if (!text) return null;
+
+    let sign = 1;
+    if (/^\(.*\)$/.test(text)) {
+        sign = -1;
+        text = text.slice(1, -1);
+    }
+    if (/\s*cr$/i.test(text)) {
+        sign = -sign;
+        text = text.replace(/\s*cr$/i, "");
+    }
+
+    // "1.234,56" / "10,00": comma as the decimal mark (common in semicolon-separated exports)
+    if (/,\d{2}$/.test(text) && !/\.\d{2}$/.test(text)) text = text.replace(/\./g, "").replace(",", ".");
+
+    const amount = parseFloat(text.replace(/[$,\s]/g, ""));
+    return Number.isFinite(amount) ? amount * sign : null;
+}
+
+// "sale" → 1, "return" → -1, anything else → 0
+function typeDirection(type) {
+    const text = headerKey(type);
+    if (SPEND_TYPES.some(t => text === t || text.startsWith(`${t} `))) return 1;
+    if (CREDIT_TYPES.some(t => text === t || text.startsWith(`${t} `))) return -1;
+    return 0;
+}
+
+// ---------------------------
+//  Records → Transactions
+// ---------------------------
+
+/**
+ * Turn raw records ({ line, date, description, amount | debit/credit, mcc,
+ * category, type, nonSpend }) into transactions. Direction comes from debit /
+ * credit columns or a type column when present, else purchasesNegative, else
+ * the sign most rows share (exports list far more purchases than credits).
+ */
+function toTransactions(records, purchasesNegative) {
+    const skipped = [];
+    const parsed = [];
+
+    records.forEach(record => {
+        const date = parseDate(record.date);
+        if (!date) {
+            skipped.push({ line: record.line, reason: `Unreadable date "${record.date || ""}"` });
+            return;
+        }
+
+        let amount = null;
+        let direction = 0;
+        if (record.debit !== undefined || record.credit !== undefined) {
+            const debit = parseAmount(record.debit);
+            const credit = parseAmount(record.credit);
+            if (debit !== null || credit !== null) {
+                amount = Math.abs(debit || 0) - Math.abs(credit || 0);
+                direction = 1;
+            }
+        } else {
+            amount = parseAmount(record.amount);
+            direction = typeDirection(record.type);
+            if (amount !== null && direction) amount = Math.abs(amount) * direction;
+        }
+
+        if (amount === null) {
+            skipped.push({ line: record.line, reason: "No amount" });
+            return;
+        }
+
+        parsed.push({ record, date, amount, bySign: direction === 0 });
+    });
+
+    if (purchasesNegative === undefined) {
+        const bySign = parsed.filter(p => p.bySign);
+        purchasesNegative = bySign.filter(p => p.amount < 0).length > bySign.filter(p => p.amount > 0).length;
+    }
+
+    const transactions = parsed.map(({ record, date, amount, bySign }) => ({
+        line: record.line,
+        date,
+        amount: bySign && purchasesNegative ? -amount : amount,
+        description: String(record.description || "").trim(),
+        mcc: record.mcc ? String(record.mcc).trim() : null,
+        category: record.category ? String(record.category).trim() : null,
+        nonSpend: record.nonSpend || null
+    }));
+
+    return { transactions, skipped };
+}
+
+// ---------------------------
+//  CSV
+// ---------------------------
+
+/**
+ * Rows of cells, honoring quoted fields ("" escapes, embedded delimiters and newlines).
+ */
+function splitCsv(text, delimiter) {
+    const rows = [];
+    let row = [];
+    let cell = "";
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const ch = text[i];
+
+        if (quoted) {
+            if (ch === "\"" && text[i + 1] === "\"") {
+                cell += "\"";
+                i++;
+            } else if (ch === "\"") {
+                quoted = false;
+            } else {
+                cell += ch;
+            }
+        } else if (ch === "\"") {
+            quoted = true;
+        } else if (ch === delimiter) {
+            row.push(cell);
+            cell = "";
+        } else if (ch === "\n" || ch === "\r") {
+            if (ch === "\r" && text[i + 1] === "\n") i++;
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = "";
+        } else {
+            cell += ch;
+        }
+    }
+
+    if (cell || row.length) {
+        row.push(cell);
+        rows.push(row);
+    }
+
+    return rows;
+}
+
+// Comma, semicolon or tab: whichever the first non-empty line uses most
+function detectDelimiter(text) {
+    const first = text.split(/\r?\n/).find(line => line.trim()) || "";
+    return [",", ";", "\t"]
+        .map(d => ({ d, count: first.split(d).length }))
+        .sort((a, b) => b.count - a.count)[0].d;
+}
+
+// Column index per role from a header row, or null if it lacks a date or amount
+function mapColumns(header) {
+    const keys = header.map(headerKey);
+    const columns = {};
+
+    Object.entries(CSV_COLUMNS).forEach(([role, names]) => {
+        for (const name of names) {
+            const index = keys.indexOf(name);
+            if (index !== -1 && !Object.values(columns).includes(index)) {
+                columns[role] = index;
+                return;
+            }
+        }
+    });
+
+    const hasAmount = columns.amount !== undefined || columns.debit !== undefined || columns.credit !== undefined;
+    return columns.date !== undefined && hasAmount ? columns : null;
+}
+
+function parseCsv(text) {
+    const rows = splitCsv(text, detectDelimiter(text));
+
+    // Some exports put account details above the header
+    const headerIndex = rows.slice(0, 10).findIndex(row => mapColumns(row));
+    if (headerIndex === -1) {
+        return {
+            errors: [{
+                field: "body",
+                message: "No CSV header with a date and an amount (or debit / credit) column",
+                allowed: [...CSV_COLUMNS.date, ...CSV_COLUMNS.amount, ...CSV_COLUMNS.debit, ...CSV_COLUMNS.credit]
+            }]
+        };
+    }
+
+    const columns = mapColumns(rows[headerIndex]);
+    const cell = (row, role) => (columns[role] !== undefined ? row[columns[role]] : undefined);
+
+    const records = rows
+        .map((row, i) => ({ row, line: i + 1 }))
+        .slice(headerIndex + 1)
+        .filter(({ row }) => row.some(c => c.trim()))
+        .map(({ row, line }) => ({
+            line,
+            date: cell(row, "date"),
+            description: cell(row, "description"),
+            amount: cell(row, "amount"),
+            ...(columns.amount === undefined ? { debit: cell(row, "debit"), credit: cell(row, "credit") } : {}),
+            mcc: cell(row, "mcc"),
+            category: cell(row, "category"),
+            type: cell(row, "type")
+        }));
+
+    return { ...toTransactions(records), errors: [] };
+}
+
+// ---------------------------
+//  OFX / QFX
+// ---------------------------
+
+// Value of an OFX element; SGML-style OFX leaves most elements unclosed
+function ofxField(block, tag) {
+    const match = block.match(new RegExp(`<${tag}>([^<\\r\\n]*)`, "i"));
+    return match ? match[1].trim() : undefined;
+}
+
+function parseOfx(text) {
+    const blocks = text.split(/<STMTTRN>/i).slice(1).map(block => block.split(/<\/STMTTRN>/i)[0]);
+    if (!blocks.length) {
+        return { errors: [{ field: "body", message: "No <STMTTRN> transactions found in the OFX/QFX file" }] };
+    }
+
+    const records = blocks.map((block, i) => {
+        const type = (ofxField(block, "TRNTYPE") || "").toUpperCase();
+        const name = ofxField(block, "NAME");
+        const memo = ofxField(block, "MEMO");
+        const sic = ofxField(block, "SIC") || ofxField(block, "MCC");
+
+        return {
+            line: i + 1,
+            // DTUSER is when the purchase was made, DTPOSTED when it cleared
+            date: ofxField(block, "DTUSER") || ofxField(block, "DTPOSTED"),
+            description: [name, memo].filter(Boolean).join(" "),
+            amount: ofxField(block, "TRNAMT"),
+            mcc: sic,
+            nonSpend: OFX_NON_SPEND[type] || null
+        };
+    });
+
+    // OFX amounts are always negative for money going out
+    return { ...toTransactions(records, true), errors: [] };
+}
+
+// ---------------------------
+//  JSON
+// ---------------------------
+
+function pickKey(item, keys) {
+    const key = keys.find(k => item[k] !== undefined && item[k] !== null);
+    return key ? item[key] : undefined;
+}
+
+function parseJson(body) {
+    const list = Array.isArray(body) ? body : body && Array.isArray(body.transactions) ? body.transactions : null;
+    if (!list) {
+        return { errors: [{ field: "transactions", message: "Send an array of transactions or { transactions: [...] }" }] };
+    }
+
+    const records = list.map((item, i) => {
+        const entry = item && typeof item === "object" ? item : {};
+        return {
+            line: i + 1,
+            ...Object.fromEntries(Object.entries(JSON_KEYS).map(([role, keys]) => [role, pickKey(entry, keys)]))
+        };
+    });
+
+    return { ...toTransactions(records), errors: [] };
+}
+
+// ---------------------------
+//  MAIN PARSER
+// ---------------------------
+
+/**
+ * The export's format: format when given, else from the Content-Type, else
+ * sniffed from the body. null when format names an unsupported format.
+ */
+function detectFormat(body, contentType, format) {
+    if (format) {
+        const requested = String(format).toLowerCase();
+        if (!FORMATS.includes(requested)) return null;
+        return requested === "qfx" ? "ofx" : requested;
+    }
+
+    if (typeof body !== "string") return "json";
+
+    const type = String(contentType || "").toLowerCase();
+    if (/csv/.test(type)) return "csv";
+    if (/ofx|qfx/.test(type)) return "ofx";
+
+    const text = body.trimStart();
+    if (/^OFXHEADER/i.test(text) || /<OFX>/i.test(text)) return "ofx";
+    if (text.startsWith("[") || text.startsWith("{")) return "json";
+    return "csv";
+}
+
+/**
+ * Returns { transactions, skipped: [{ line, reason }], errors } where errors
+ * (field-level, like the quiz validator's) mean nothing could be read.
+ */
+function parseTransactions(body, format) {
+    let result;
+
+    if (format === "json") {
+        let data = body;
+        if (typeof body === "string") {
+            try {
+                data = JSON.parse(body);
+            } catch (err) {
+                return { transactions: [], skipped: [], errors: [{ field: "body", message: `Invalid JSON: ${err.message}` }] };
+            }
+        }
+        result = parseJson(data);
+    } else {
+        const text = String(body || "").replace(/^\uFEFF/, "");
+        result = format === "ofx" ? parseOfx(text) : parseCsv(text);
+    }
+
+    return { transactions: result.transactions || [], skipped: result.skipped || [], errors: result.errors };
+}
+
+module.exports = { FORMATS, detectFormat, parseTransactions, parseDate, parseAmount };